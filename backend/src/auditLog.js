@@ -0,0 +1,133 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, "..", "audit-log.db");
+
+export const AUDIT_ACTIONS = ["created", "updated", "delisted", "deleted"];
+const MAX_EVENTS = 1000;
+
+let db = null;
+
+function openDb() {
+    if (db) return db;
+    db = new Database(AUDIT_FILE);
+    db.pragma("journal_mode = WAL");
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            hospital_id TEXT NOT NULL,
+            unique_key TEXT,
+            action TEXT NOT NULL,
+            origin TEXT NOT NULL,
+            actor TEXT,
+            reference TEXT,
+            collection TEXT,
+            before TEXT,
+            after TEXT,
+            recorded_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS audit_events_hospital ON audit_events (hospital_id, recorded_at);
+        CREATE INDEX IF NOT EXISTS audit_events_recorded ON audit_events (recorded_at);
+    `);
+    return db;
+}
+
+function toEvent(row) {
+    return {
+        id: row.id,
+        hospitalId: row.hospital_id,
+        uniqueKey: row.unique_key,
+        action: row.action,
+        origin: row.origin,
+        actor: row.actor,
+        reference: row.reference,
+        collection: row.collection,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null,
+        recordedAt: row.recorded_at
+    };
+}
+
+/**
+ * Append audit events in one transaction. Each event is
+ * { hospitalId, action, before, after } with the payload as it was before and
+ * after the change (null for a creation or a deletion respectively); the
+ * shared `context` says where the change came from:
+ * { origin: "api" | "ingest" | "sync", actor, reference, collection }.
+ */
+export function recordAuditEvents(events, { origin, actor = null, reference = null, collection = null }) {
+    if (events.length === 0) return 0;
+
+    const store = openDb();
+    const insert = store.prepare(`
+        INSERT INTO audit_events (hospital_id, unique_key, action, origin, actor, reference, collection, before, after, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    store.transaction(() => {
+        for (const { hospitalId, action, before = null, after = null } of events) {
+            insert.run(
+                String(hospitalId),
+                (after || before)?.unique_key ?? null,
+                action,
+                origin,
+                actor,
+                reference,
+                collection,
+                before ? JSON.stringify(before) : null,
+                after ? JSON.stringify(after) : null,
+                now
+            );
+        }
+    })();
+    return events.length;
+}
+
+function timeConditions({ since = null, until = null }) {
+    const clauses = [];
+    const params = [];
+    if (since) {
+        clauses.push("recorded_at >= ?");
+        params.push(new Date(since).toISOString());
+    }
+    if (until) {
+        clauses.push("recorded_at <= ?");
+        params.push(new Date(until).toISOString());
+    }
+    return { clauses, params };
+}
+
+/**
+ * Every recorded change to one hospital, oldest first, optionally limited to
+ * a time window. Deleted hospitals keep their history.
+ */
+export function getHospitalHistory(hospitalId, { since = null, until = null, limit = MAX_EVENTS } = {}) {
+    const { clauses, params } = timeConditions({ since, until });
+    const where = ["hospital_id = ?", ...clauses].join(" AND ");
+    return openDb()
+        .prepare(`SELECT * FROM audit_events WHERE ${where} ORDER BY recorded_at, id LIMIT ?`)
+        .all(String(hospitalId), ...params, Math.min(limit, MAX_EVENTS))
+        .map(toEvent);
+}
+
+// Recent changes across all hospitals, newest first, for reviewing what an ingest or admin did
+export function listAuditEvents({ since = null, until = null, action = null, origin = null, limit = 100 } = {}) {
+    const { clauses, params } = timeConditions({ since, until });
+    if (action) {
+        clauses.push("action = ?");
+        params.push(action);
+    }
+    if (origin) {
+        clauses.push("origin = ?");
+        params.push(origin);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return openDb()
+        .prepare(`SELECT * FROM audit_events ${where} ORDER BY recorded_at DESC, id DESC LIMIT ?`)
+        .all(...params, Math.min(limit, MAX_EVENTS))
+        .map(toEvent);
+}
@@ -0,0 +1,15 @@
+import { clearEmbeddingCache, getEmbeddingCacheStats } from "./embeddingCache.js";
+import { embeddingModelKey } from "./genaiClient.js";
+
+// By default only vectors from models other than the current one are dropped; --all empties the cache
+const ALL = process.argv.slice(2).includes("--all");
+
+const currentModel = embeddingModelKey();
+const removed = clearEmbeddingCache({ keepModel: ALL ? null : currentModel });
+console.log(ALL
+    ? `🧹 Cleared embedding cache (${removed} entries removed)`
+    : `🧹 Removed ${removed} cached embeddings from models other than ${currentModel}`);
+
+for (const { model, dimension, entries } of getEmbeddingCacheStats().models) {
+    console.log(`   ${model} (${dimension} dims): ${entries} entries`);
+}
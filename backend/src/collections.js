@@ -0,0 +1,148 @@
+import dotenv from "dotenv";
+import { listCollections, listAliases, updateAliases, countPoints, getCollectionDimension, deleteCollection, copyCollection } from "./qdrantClient.js";
+import { getEmbeddingDimension } from "./embeddingProviders.js";
+dotenv.config();
+
+// The name every route reads from; a Qdrant alias pointing at the live versioned collection
+export const HOSPITALS_COLLECTION = process.env.QDRANT_COLLECTION || "hospitals";
+
+// A rebuild may lose at most this share of the live collection's hospitals before promotion is refused
+const MAX_SHRINK = 0.1;
+
+function versionOf(alias, name) {
+    const suffix = name.startsWith(`${alias}_v`) ? name.slice(alias.length + 2) : "";
+    return /^\d+$/.test(suffix) ? Number(suffix) : null;
+}
+
+async function aliasTarget(alias) {
+    const aliases = await listAliases();
+    return aliases.find(a => a.alias_name === alias)?.collection_name || null;
+}
+
+// Collection the alias currently points at, or the name itself when it isn't an alias
+export async function resolveCollection(name = HOSPITALS_COLLECTION) {
+    return (await aliasTarget(name)) || name;
+}
+
+// Versioned collections behind the alias, oldest first
+export async function listCollectionVersions(alias = HOSPITALS_COLLECTION) {
+    const [names, active] = await Promise.all([listCollections(), aliasTarget(alias)]);
+    return names
+        .map(name => ({ name, version: versionOf(alias, name) }))
+        .filter(c => c.version !== null)
+        .sort((a, b) => a.version - b.version)
+        .map(c => ({ ...c, active: c.name === active }));
+}
+
+// Name for the next rebuild, e.g. hospitals_v3 after hospitals_v2
+export async function nextCollectionVersion(alias = HOSPITALS_COLLECTION) {
+    const versions = await listCollectionVersions(alias);
+    const latest = versions.length ? versions[versions.length - 1].version : 0;
+    return `${alias}_v${latest + 1}`;
+}
+
+async function pointCount(collectionName) {
+    const j = await countPoints(collectionName);
+    return j?.result?.count ?? 0;
+}
+
+/**
+ * Checks a freshly built collection before it goes live: it must hold the
+ * hospitals the ingestion reported, match the provider's vector size, and not
+ * be much smaller than the collection it replaces (unless `allowShrink`).
+ * Returns the list of problems; empty means it is safe to promote.
+ */
+export async function validateCollection(collectionName, { alias = HOSPITALS_COLLECTION, expectedCount = null, allowShrink = false } = {}) {
+    const problems = [];
+
+    const count = await pointCount(collectionName);
+    if (count === 0) problems.push(`${collectionName} is empty`);
+    if (expectedCount !== null && count !== expectedCount) {
+        problems.push(`${collectionName} holds ${count} hospitals but ingestion wrote ${expectedCount}`);
+    }
+
+    const dimension = await getCollectionDimension(collectionName);
+    const expectedDimension = await getEmbeddingDimension();
+    if (dimension !== expectedDimension) {
+        problems.push(`${collectionName} stores ${dimension}-dimensional vectors, the embedding provider produces ${expectedDimension}`);
+    }
+
+    const live = await aliasTarget(alias);
+    if (live && live !== collectionName && !allowShrink) {
+        const liveCount = await pointCount(live);
+        if (count < liveCount * (1 - MAX_SHRINK)) {
+            problems.push(`${collectionName} has ${count} hospitals, ${liveCount - count} fewer than the live ${live}`);
+        }
+    }
+
+    return problems;
+}
+
+function legacyCopyName(alias) {
+    return `${alias}_v0`;
+}
+
+// Copy a pre-alias collection to the first version before it is deleted, and check the copy is whole
+async function keepLegacyCopy(alias) {
+    const copy = legacyCopyName(alias);
+    console.log(`📦 Copying legacy collection "${alias}" to ${copy}...`);
+    await copyCollection(alias, copy);
+
+    const [expected, copied] = await Promise.all([pointCount(alias), pointCount(copy)]);
+    if (copied !== expected) {
+        throw new Error(`${copy} holds ${copied} hospitals but legacy "${alias}" has ${expected} - not deleting it`);
+    }
+}
+
+/**
+ * Point the alias at `collectionName` in a single atomic alias update, so
+ * searches switch over without a gap. A pre-alias collection that still owns
+ * the alias name has to be dropped first, which only happens with
+ * `replaceLegacy`: its hospitals are copied to `<alias>_v0` beforehand, so
+ * they can be rolled back to, and the alias goes to that copy if creating it
+ * for `collectionName` fails.
+ */
+export async function promoteCollection(collectionName, { alias = HOSPITALS_COLLECTION, replaceLegacy = false } = {}) {
+    const collections = await listCollections();
+    if (!collections.includes(collectionName)) {
+        throw new Error(`Collection "${collectionName}" does not exist`);
+    }
+    if (collections.includes(alias)) {
+        if (!replaceLegacy) {
+            throw new Error(`"${alias}" is still a plain collection, not an alias - rerun with --replace-legacy to move it to ${legacyCopyName(alias)} and create the alias`);
+        }
+        await keepLegacyCopy(alias);
+        console.warn(`⚠️  Deleting legacy collection "${alias}" to free the name for the alias`);
+        await deleteCollection(alias);
+    }
+
+    const previous = await aliasTarget(alias);
+    const actions = [];
+    if (previous) actions.push({ delete_alias: { alias_name: alias } });
+    actions.push({ create_alias: { collection_name: collectionName, alias_name: alias } });
+    try {
+        await updateAliases(actions);
+    } catch (error) {
+        if (!collections.includes(alias)) throw error;
+        // The legacy collection is already gone; serve its copy rather than nothing
+        await updateAliases([{ create_alias: { collection_name: legacyCopyName(alias), alias_name: alias } }]);
+        throw new Error(`Failed to point "${alias}" at ${collectionName}, it now points at the legacy copy ${legacyCopyName(alias)}: ${error.message}`);
+    }
+
+    console.log(`🔀 Alias "${alias}" now points at ${collectionName}${previous ? ` (was ${previous})` : ""}`);
+    return { alias, previous, current: collectionName };
+}
+
+// Point the alias back at the newest version older than the live one
+export async function rollbackCollection({ alias = HOSPITALS_COLLECTION } = {}) {
+    const versions = await listCollectionVersions(alias);
+    const live = versions.find(v => v.active);
+    if (!live) {
+        throw new Error(`Alias "${alias}" doesn't point at a versioned collection`);
+    }
+    const previous = versions.filter(v => v.version < live.version).pop();
+    if (!previous) {
+        throw new Error(`No version older than ${live.name} to roll back to`);
+    }
+    return promoteCollection(previous.name, { alias });
+}
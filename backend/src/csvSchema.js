@@ -0,0 +1,174 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseNetworkDate } from "./networkDates.js";
+import { parsePlanIds } from "./networkPlans.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOURCE_MAPPINGS_FILE = process.env.SOURCE_MAPPINGS_FILE || path.join(__dirname, "..", "sourceMappings.json");
+
+// Rows without these are skipped; a source can require more with "required" in sourceMappings.json
+export const REQUIRED_FIELDS = ["name"];
+
+// Header spellings we recognise for each field, compared after normalizeHeader()
+export const FIELD_ALIASES = {
+    name: ["hospital name", "name", "provider name", "hospital", "provider", "hospital_name", "name of hospital", "facility name"],
+    address: ["address", "hospital address", "provider address", "addr", "full address", "address line"],
+    city: ["city", "city name", "town", "district"],
+    state: ["state", "state name"],
+    pincode: ["pincode", "pin code", "pin", "zip", "zip code", "postal code"],
+    phone: ["phone", "phone number", "phone no", "contact", "contact number", "contact no", "mobile", "telephone"],
+    specialities: ["specialities", "specialties", "speciality", "specialty", "departments"],
+    tier: ["tier", "hospital tier", "city tier"],
+    cashless: ["cashless", "cashless flag", "cashless facility", "cashless available", "is cashless"],
+    effective_from: ["effective from", "effective date", "valid from", "start date", "empanelled on", "empanelment date", "date of empanelment"],
+    effective_to: ["effective to", "valid to", "valid until", "valid till", "end date", "delisted on", "expiry date"],
+    plans: ["plan", "plans", "plan id", "plan ids", "network id", "network ids", "policy plan"]
+};
+
+// Column order of the original network files, used when a file has no header row
+const POSITIONAL_COLUMNS = { name: 0, address: 1, city: 2 };
+
+function normalizeHeader(cell) {
+    return String(cell || "").toLowerCase().replace(/[_\-.]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+let sourceMappings = null;
+
+// Per-source overrides from sourceMappings.json: { "<source>": { "columns": { "<field>": "<header>" | [...] }, "required": ["<field>", ...] } }
+export function loadSourceMappings() {
+    if (sourceMappings) return sourceMappings;
+    try {
+        sourceMappings = JSON.parse(fs.readFileSync(SOURCE_MAPPINGS_FILE, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.warn(`⚠️ Failed to read source mappings from ${SOURCE_MAPPINGS_FILE}:`, error.message);
+        }
+        sourceMappings = {};
+    }
+    return sourceMappings;
+}
+
+function sourceMapping(source) {
+    const mapping = loadSourceMappings()[source];
+    if (!mapping) {
+        throw new Error(`Unknown source "${source}" - add it to ${path.basename(SOURCE_MAPPINGS_FILE)}`);
+    }
+    return mapping;
+}
+
+// The fields a source's rows must have: always the name, plus whatever the source lists
+function requiredForSource(source) {
+    if (!source) return REQUIRED_FIELDS;
+    const extra = sourceMapping(source).required || [];
+    const unknown = extra.filter(field => !FIELD_ALIASES[field]);
+    if (unknown.length > 0) {
+        throw new Error(`Source "${source}" requires unknown field(s) ${unknown.join(", ")}`);
+    }
+    return [...new Set([...REQUIRED_FIELDS, ...extra])];
+}
+
+function aliasesForSource(source) {
+    const aliases = {};
+    for (const [field, names] of Object.entries(FIELD_ALIASES)) {
+        aliases[field] = [...names];
+    }
+    if (!source) return aliases;
+
+    const mapping = sourceMapping(source);
+    for (const [field, headers] of Object.entries(mapping.columns || {})) {
+        const names = (Array.isArray(headers) ? headers : [headers]).map(normalizeHeader);
+        // Source-specific names win over the generic aliases
+        aliases[field] = [...names, ...(aliases[field] || [])];
+    }
+    return aliases;
+}
+
+/**
+ * Work out which column holds which field. Returns null when the first row
+ * doesn't look like a header, in which case the positional layout applies.
+ */
+export function detectColumnMapping(headerRow, source = null) {
+    const aliases = aliasesForSource(source);
+    const normalized = (headerRow || []).map(normalizeHeader);
+
+    const columns = {};
+    const used = new Set();
+    for (const [field, names] of Object.entries(aliases)) {
+        for (const name of names) {
+            const idx = normalized.findIndex((cell, i) => cell === name && !used.has(i));
+            if (idx !== -1) {
+                columns[field] = idx;
+                used.add(idx);
+                break;
+            }
+        }
+    }
+
+    if (columns.name === undefined || Object.keys(columns).length < 2) {
+        return null;
+    }
+
+    const extras = {};
+    normalized.forEach((cell, idx) => {
+        if (!used.has(idx) && cell) extras[headerRow[idx].trim()] = idx;
+    });
+
+    return { columns, extras, headers: headerRow, required: requiredForSource(source) };
+}
+
+export function positionalMapping(source = null) {
+    return { columns: { ...POSITIONAL_COLUMNS }, extras: {}, headers: null, required: requiredForSource(source) };
+}
+
+function parseBoolean(value) {
+    const v = String(value).toLowerCase().trim();
+    if (["yes", "y", "true", "1", "available"].includes(v)) return true;
+    if (["no", "n", "false", "0", "not available", "na"].includes(v)) return false;
+    return null;
+}
+
+// Clean up the typed extra fields; everything else is stored as the trimmed string
+export function coerceField(field, value) {
+    switch (field) {
+        case "specialities":
+            return value.split(/[,;|/]/).map(s => s.trim()).filter(Boolean);
+        case "cashless":
+            return parseBoolean(value);
+        case "pincode":
+            return value.replace(/\s+/g, "");
+        case "effective_from":
+        case "effective_to":
+            return parseNetworkDate(value);
+        case "plans":
+            return parsePlanIds(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Turn a raw row into a hospital record using a column mapping.
+ * Returns `{ hospital, missing }`; `hospital` is null when a field the
+ * mapping requires (see REQUIRED_FIELDS) is empty.
+ */
+export function mapRow(row, mapping) {
+    const hospital = { name: "", address: "", city: "" };
+
+    for (const [field, idx] of Object.entries(mapping.columns)) {
+        const value = String(row?.[idx] ?? "").trim();
+        if (!value) continue;
+        const coerced = coerceField(field, value);
+        if (coerced !== null) hospital[field] = coerced;
+    }
+
+    const extra = {};
+    for (const [header, idx] of Object.entries(mapping.extras)) {
+        const value = String(row?.[idx] ?? "").trim();
+        if (value) extra[header] = value;
+    }
+    if (Object.keys(extra).length > 0) hospital.extra = extra;
+
+    const missing = (mapping.required || REQUIRED_FIELDS).filter(field => !hospital[field]);
+    return { hospital: missing.length ? null : hospital, missing };
+}
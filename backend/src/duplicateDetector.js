@@ -0,0 +1,173 @@
+import Database from "better-sqlite3";
+import { canonicalizeCity } from "./normalize.js";
+
+// Pairs scoring at or above MERGE_THRESHOLD are merged automatically,
+// pairs between REVIEW_THRESHOLD and MERGE_THRESHOLD go to the review report
+const MERGE_THRESHOLD = 0.92;
+const REVIEW_THRESHOLD = 0.8;
+const NAME_WEIGHT = 0.6;
+const ADDRESS_WEIGHT = 0.4;
+
+// Words too common to block on; a name's first other word decides which rows it is compared with
+const NAME_STOPWORDS = new Set([
+    "the", "dr", "shri", "sri", "st", "and", "new",
+    "hospital", "hospitals", "clinic", "nursing", "home", "medical", "centre", "center", "care", "health", "healthcare"
+]);
+// Only the most recent rows of a block are compared, so one crowded block can't go quadratic
+const MAX_BLOCK_COMPARISONS = 200;
+// The report lists at most this many merged clusters and review pairs (the best-scoring pairs first); totals are exact
+const REPORT_LIMIT = 1000;
+
+function tokens(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .split(" ")
+        .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+// Blend of token overlap and edit distance, so both reordered and misspelled text score high
+export function textSimilarity(a, b) {
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.length === 0 && tb.length === 0) return 1;
+    if (ta.length === 0 || tb.length === 0) return 0;
+
+    const setA = new Set(ta);
+    const setB = new Set(tb);
+    const shared = [...setA].filter(t => setB.has(t)).length;
+    const jaccard = shared / new Set([...setA, ...setB]).size;
+
+    const compactA = ta.join("");
+    const compactB = tb.join("");
+    const longest = Math.max(compactA.length, compactB.length);
+    // The length difference bounds the edit score; skip the O(n*m) distance when it can't win
+    if (1 - Math.abs(compactA.length - compactB.length) / longest <= jaccard) return jaccard;
+
+    const edit = 1 - levenshtein(compactA, compactB) / longest;
+    return Math.max(jaccard, edit);
+}
+
+// Different plot/sector numbers usually mean different branches, however similar the text
+function numbersConflict(a, b) {
+    const na = new Set(tokens(a).filter(t => /^\d+$/.test(t)));
+    const nb = new Set(tokens(b).filter(t => /^\d+$/.test(t)));
+    if (na.size === 0 || nb.size === 0) return false;
+    const aInB = [...na].every(t => nb.has(t));
+    const bInA = [...nb].every(t => na.has(t));
+    return !aInB && !bInA;
+}
+
+export function scorePair(a, b) {
+    const nameScore = textSimilarity(a.name, b.name);
+    const addressScore = textSimilarity(a.address, b.address);
+    return {
+        nameScore,
+        addressScore,
+        score: nameScore * NAME_WEIGHT + addressScore * ADDRESS_WEIGHT,
+        numbersConflict: numbersConflict(a.address, b.address)
+    };
+}
+
+// Hospitals are only compared within the same city and leading name token
+function blockKey(hospital) {
+    const first = tokens(hospital.name).find(t => !NAME_STOPWORDS.has(t)) || "";
+    return `${canonicalizeCity(hospital.city)}|${first}`;
+}
+
+function summary(hospital) {
+    return { name: hospital.name, address: hospital.address, city: hospital.city };
+}
+
+/**
+ * Incremental near-duplicate detector for exact-deduped hospitals arriving one
+ * at a time. The first row of a cluster is kept; later rows scoring above the
+ * merge threshold against it are folded into it, and borderline pairs are
+ * collected for a human to review. Kept rows, merges and review pairs are
+ * written to `db` (an ingest run passes its scratch file, see ingestScratch.js)
+ * rather than held in memory, so a large file doesn't grow the process.
+ */
+export function createDuplicateDetector({ db = new Database(":memory:"), mergeThreshold = MERGE_THRESHOLD, reviewThreshold = REVIEW_THRESHOLD } = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS dedupe_kept (
+            id INTEGER PRIMARY KEY,
+            block TEXT NOT NULL,
+            name TEXT, address TEXT, city TEXT
+        );
+        CREATE INDEX IF NOT EXISTS dedupe_kept_block ON dedupe_kept (block, id);
+        CREATE TABLE IF NOT EXISTS dedupe_merged (kept_id INTEGER NOT NULL, name TEXT, address TEXT, city TEXT);
+        CREATE INDEX IF NOT EXISTS dedupe_merged_kept ON dedupe_merged (kept_id);
+        CREATE TABLE IF NOT EXISTS dedupe_review (score REAL NOT NULL, pair TEXT NOT NULL);
+    `);
+    const recentInBlock = db.prepare("SELECT id, name, address, city FROM dedupe_kept WHERE block = ? ORDER BY id DESC LIMIT ?");
+    const insertKept = db.prepare("INSERT INTO dedupe_kept (block, name, address, city) VALUES (?, ?, ?, ?)");
+    const insertMerged = db.prepare("INSERT INTO dedupe_merged (kept_id, name, address, city) VALUES (?, ?, ?, ?)");
+    const insertReview = db.prepare("INSERT INTO dedupe_review (score, pair) VALUES (?, ?)");
+    let mergedCount = 0;
+
+    // Returns the kept hospital this one duplicates, or null when it is new
+    function check(hospital) {
+        const key = blockKey(hospital);
+        const { name, address, city } = summary(hospital);
+
+        let best = null;
+        const borderline = [];
+        // Oldest first, so equal scores keep merging into the earliest kept row
+        for (const kept of recentInBlock.all(key, MAX_BLOCK_COMPARISONS).reverse()) {
+            const pair = scorePair(kept, hospital);
+            if (pair.score >= mergeThreshold && !pair.numbersConflict) {
+                if (!best || pair.score > best.pair.score) best = { kept, pair };
+            } else if (pair.score >= reviewThreshold) {
+                borderline.push({ a: summary(kept), b: summary(hospital), ...pair });
+            }
+        }
+
+        if (best) {
+            insertMerged.run(best.kept.id, name, address, city);
+            mergedCount++;
+            return summary(best.kept);
+        }
+
+        for (const pair of borderline) insertReview.run(pair.score, JSON.stringify(pair));
+        insertKept.run(key, name, address, city);
+        return null;
+    }
+
+    // { merged, review, totals }: the lists are cut at REPORT_LIMIT, `totals` counts everything found
+    function report() {
+        const clusters = db.prepare("SELECT DISTINCT kept_id FROM dedupe_merged ORDER BY kept_id LIMIT ?").all(REPORT_LIMIT);
+        const keptRow = db.prepare("SELECT name, address, city FROM dedupe_kept WHERE id = ?");
+        const mergedRows = db.prepare("SELECT name, address, city FROM dedupe_merged WHERE kept_id = ? ORDER BY rowid");
+        const merged = clusters.map(({ kept_id: keptId }) => ({
+            kept: summary(keptRow.get(keptId)),
+            merged: mergedRows.all(keptId).map(summary)
+        }));
+        const review = db.prepare("SELECT pair FROM dedupe_review ORDER BY score DESC, rowid LIMIT ?")
+            .all(REPORT_LIMIT)
+            .map(row => JSON.parse(row.pair));
+        const totals = {
+            merged: db.prepare("SELECT COUNT(DISTINCT kept_id) AS n FROM dedupe_merged").get().n,
+            review: db.prepare("SELECT COUNT(*) AS n FROM dedupe_review").get().n
+        };
+        return { merged, review, totals };
+    }
+
+    return { check, report, get mergedCount() { return mergedCount; } };
+}
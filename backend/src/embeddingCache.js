@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_FILE = process.env.EMBEDDING_CACHE_FILE || path.join(__dirname, "..", "embedding-cache.db");
+const CACHE_DISABLED = process.env.EMBEDDING_CACHE === "off";
+
+const stats = { hits: 0, misses: 0, writes: 0 };
+let db = null;
+
+function openDb() {
+    if (db) return db;
+    db = new Database(CACHE_FILE);
+    db.pragma("journal_mode = WAL");
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS embeddings (
+            model TEXT NOT NULL,
+            text_hash TEXT NOT NULL,
+            dimension INTEGER NOT NULL,
+            vector BLOB NOT NULL,
+            created_at TEXT NOT NULL,
+            PRIMARY KEY (model, text_hash)
+        )
+    `);
+    return db;
+}
+
+function hashText(text) {
+    return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+function toBlob(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+    return Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+}
+
+/**
+ * Look up embeddings for `texts` under `model`, calling `embedMissing` only for
+ * the texts that aren't cached yet. Results come back in input order. Keys
+ * include the model, so switching models never returns stale vectors.
+ */
+export async function cachedEmbeddings(model, texts, embedMissing) {
+    if (CACHE_DISABLED) return embedMissing(texts);
+
+    const cache = openDb();
+    const select = cache.prepare("SELECT vector FROM embeddings WHERE model = ? AND text_hash = ?");
+    const hashes = texts.map(hashText);
+    const vectors = hashes.map(hash => {
+        const row = select.get(model, hash);
+        return row ? fromBlob(row.vector) : null;
+    });
+
+    // Identical texts in one call are embedded once
+    const missing = new Map();
+    vectors.forEach((vector, idx) => {
+        if (vector) return;
+        if (!missing.has(hashes[idx])) missing.set(hashes[idx], texts[idx]);
+    });
+    stats.hits += texts.length - missing.size;
+    stats.misses += missing.size;
+    if (missing.size === 0) return vectors;
+
+    const fresh = await embedMissing([...missing.values()]);
+    const insert = cache.prepare(
+        "INSERT OR REPLACE INTO embeddings (model, text_hash, dimension, vector, created_at) VALUES (?, ?, ?, ?, ?)"
+    );
+    const freshByHash = new Map();
+    const now = new Date().toISOString();
+    cache.transaction(() => {
+        [...missing.keys()].forEach((hash, idx) => {
+            const vector = fresh[idx];
+            if (!vector || vector.length === 0) return;
+            freshByHash.set(hash, vector);
+            insert.run(model, hash, vector.length, toBlob(vector), now);
+            stats.writes++;
+        });
+    })();
+
+    return vectors.map((vector, idx) => vector || freshByHash.get(hashes[idx]) || []);
+}
+
+// Per-process hit/miss counters plus what is stored on disk, grouped by model
+export function getEmbeddingCacheStats() {
+    const lookups = stats.hits + stats.misses;
+    const result = {
+        enabled: !CACHE_DISABLED,
+        file: CACHE_FILE,
+        hits: stats.hits,
+        misses: stats.misses,
+        writes: stats.writes,
+        hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+        models: []
+    };
+    if (!CACHE_DISABLED) {
+        result.models = openDb()
+            .prepare("SELECT model, dimension, COUNT(*) AS entries FROM embeddings GROUP BY model, dimension ORDER BY model")
+            .all();
+    }
+    return result;
+}
+
+/**
+ * Drop cached vectors. With `keepModel` only entries from other models are
+ * removed (what you want after changing the embedding model); without it the
+ * whole cache is cleared. Returns the number of rows deleted.
+ */
+export function clearEmbeddingCache({ keepModel = null } = {}) {
+    const cache = openDb();
+    const result = keepModel
+        ? cache.prepare("DELETE FROM embeddings WHERE model != ?").run(keepModel)
+        : cache.prepare("DELETE FROM embeddings").run();
+    cache.exec("VACUUM");
+    return result.changes;
+}
@@ -0,0 +1,157 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+const GOOGLE_KEY = process.env.GOOGLE_API_KEY;
+
+// Output sizes of the models we have used; anything else needs EMBEDDING_DIMENSION or is probed once
+const KNOWN_DIMENSIONS = {
+    "text-embedding-004": 768,
+    "text-embedding-005": 768,
+    "gemini-embedding-001": 3072,
+    "Xenova/all-MiniLM-L6-v2": 384,
+    "Xenova/bge-small-en-v1.5": 384,
+    "Xenova/bge-base-en-v1.5": 768,
+    "Xenova/multilingual-e5-small": 384
+};
+
+function configuredDimension(model) {
+    const fromEnv = Number(process.env.EMBEDDING_DIMENSION);
+    if (Number.isInteger(fromEnv) && fromEnv > 0) return fromEnv;
+    return KNOWN_DIMENSIONS[model] || null;
+}
+
+/**
+ * Google Generative Language embeddings over REST. Single texts go to
+ * embedContent and lists to batchEmbedContents, as before.
+ */
+function createGoogleProvider(model = "text-embedding-004") {
+    if (!GOOGLE_KEY) {
+        console.warn("Warning: GOOGLE_API_KEY not set — embeddings will fail until set.");
+    }
+
+    async function embedOne(text) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:embedContent?key=${GOOGLE_KEY}`;
+
+        const resp = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                model: `models/${model}`,
+                content: { parts: [{ text }] }
+            })
+        });
+
+        if (!resp.ok) {
+            const txt = await resp.text();
+            throw new Error("embedText error: " + resp.status + " - " + txt);
+        }
+
+        const j = await resp.json();
+        return j?.embedding?.values || [];
+    }
+
+    async function embedMany(texts) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${GOOGLE_KEY}`;
+        const body = {
+            requests: texts.map(text => ({
+                model: `models/${model}`,
+                content: { parts: [{ text }] }
+            }))
+        };
+
+        const resp = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+
+        if (!resp.ok) {
+            const txt = await resp.text();
+            throw new Error("embedTexts error: " + resp.status + " - " + txt);
+        }
+
+        const j = await resp.json();
+        return j?.embeddings?.map(e => e.values) || [];
+    }
+
+    return {
+        name: "google",
+        model,
+        dimension: configuredDimension(model),
+        async embed(texts) {
+            return texts.length === 1 ? [await embedOne(texts[0])] : embedMany(texts);
+        }
+    };
+}
+
+/**
+ * Local sentence-transformer model run through transformers.js (ONNX), for
+ * offline development and when hospital data must not leave the machine.
+ * The package is an optional dependency and is only loaded when selected.
+ */
+function createLocalProvider(model = "Xenova/all-MiniLM-L6-v2") {
+    let extractor = null;
+
+    async function loadExtractor() {
+        if (extractor) return extractor;
+        let transformers;
+        try {
+            transformers = await import("@huggingface/transformers");
+        } catch {
+            throw new Error('EMBEDDING_PROVIDER=local needs the optional "@huggingface/transformers" package - run npm install @huggingface/transformers');
+        }
+        if (process.env.EMBEDDING_MODEL_DIR) {
+            transformers.env.localModelPath = process.env.EMBEDDING_MODEL_DIR;
+            transformers.env.allowRemoteModels = false;
+        }
+        console.log(`🧠 Loading local embedding model ${model}...`);
+        extractor = await transformers.pipeline("feature-extraction", model);
+        return extractor;
+    }
+
+    return {
+        name: "local",
+        model,
+        dimension: configuredDimension(model),
+        async embed(texts) {
+            const extract = await loadExtractor();
+            const output = await extract(texts, { pooling: "mean", normalize: true });
+            return output.tolist();
+        }
+    };
+}
+
+const PROVIDERS = {
+    google: createGoogleProvider,
+    local: createLocalProvider
+};
+
+let provider = null;
+
+/**
+ * The configured embedding provider: EMBEDDING_PROVIDER picks the
+ * implementation (google by default) and EMBEDDING_MODEL overrides its model.
+ * Every provider exposes { name, model, dimension, embed(texts) }.
+ */
+export function getEmbeddingProvider() {
+    if (provider) return provider;
+
+    const name = (process.env.EMBEDDING_PROVIDER || "google").toLowerCase();
+    const create = PROVIDERS[name];
+    if (!create) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" - expected one of ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+    provider = process.env.EMBEDDING_MODEL ? create(process.env.EMBEDDING_MODEL) : create();
+    return provider;
+}
+
+// Vector size of the configured provider, embedding a probe text when the model isn't in the table
+export async function getEmbeddingDimension() {
+    const current = getEmbeddingProvider();
+    if (!current.dimension) {
+        const [vector] = await current.embed(["dimension probe"]);
+        current.dimension = vector.length;
+        console.log(`📐 ${current.name}/${current.model} produces ${current.dimension}-dimensional vectors`);
+    }
+    return current.dimension;
+}
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { scrollMatches } from "./qdrantClient.js";
+import { HOSPITALS_COLLECTION } from "./collections.js";
+import { canonicalizeCity, cityVariants } from "./normalize.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE || path.join(__dirname, "..", "localities.json");
+
+// How long localities bootstrapped from the collection are reused before scrolling it again
+const REFRESH_MS = Number(process.env.GAZETTEER_REFRESH_MS) || 60 * 60 * 1000;
+// Retry sooner when Qdrant couldn't be read and only the file is loaded
+const RETRY_MS = 60 * 1000;
+
+// Trailing words that turn a locality into a street name: "Sarjapur Main Road" -> "sarjapur"
+const ROAD_WORDS = new Set(["road", "rd", "marg", "street", "cross", "main", "lane", "link", "bypass", "highway", "ring"]);
+// Address segments introduced by these describe a landmark, not the locality
+const LANDMARK_WORDS = new Set(["near", "opp", "opposite", "behind", "above", "below", "beside", "next", "adjacent", "facing", "junction", "off"]);
+// Building and landmark vocabulary; a chunk containing any of these isn't a locality
+const NOISE_WORDS = new Set([
+    "floor", "building", "bldg", "plot", "shop", "flat", "apartment", "apartments", "complex", "arcade", "plaza",
+    "tower", "towers", "mall", "hotel", "school", "college", "station", "metro", "bank", "office", "pillar",
+    "survey", "hissa", "block", "wing", "house", "hospital", "hospitals", "clinic", "temple", "church", "masjid",
+    "market", "railway", "cinema", "dairy", "sector", "sec", "phase", "pocket", "stage", "feet", "ft", "outer",
+    "inner", "no", "tal", "dist", "post"
+]);
+const MAX_LOCALITY_WORDS = 3;
+
+let fileCache = null;
+let gazetteer = null;
+let loading = null;
+
+function words(text) {
+    return String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Editable localities: { "cities": { "<city>": ["<locality>", ...] }, "ignore": ["<term>", ...] }
+function loadLocalityFile() {
+    if (fileCache) return fileCache;
+    let data = {};
+    try {
+        data = JSON.parse(fs.readFileSync(GAZETTEER_FILE, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.warn(`⚠️ Failed to read localities from ${GAZETTEER_FILE}:`, error.message);
+        }
+    }
+
+    const cities = new Map();
+    for (const [city, localities] of Object.entries(data.cities || {})) {
+        const canonical = canonicalizeCity(city);
+        const set = cities.get(canonical) || new Set();
+        for (const locality of localities) {
+            const key = words(locality).join(" ");
+            if (key) set.add(key);
+        }
+        cities.set(canonical, set);
+    }
+    const ignore = new Set((data.ignore || []).map(term => words(term).join(" ")));
+
+    fileCache = { cities, ignore };
+    return fileCache;
+}
+
+/**
+ * Locality names found in one address, e.g. "No 24 9th Cross Margosa Road
+ * Malleshwaram" -> ["margosa", "malleshwaram"]. Addresses are split on commas
+ * and street words; landmarks, building names, numbers and the city itself are dropped.
+ */
+export function addressLocalities(address, city) {
+    let text = String(address || "").toLowerCase().replace(/\([^)]*\)/g, ",");
+    // Longest first so "mumbai suburban" goes before "mumbai" can leave a stray "suburban"
+    for (const variant of cityVariants(city).sort((a, b) => b.length - a.length)) {
+        text = text.replace(new RegExp(`\\b${variant.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "g"), ",");
+    }
+
+    const localities = [];
+    for (const segment of text.split(/[,;\n]+/)) {
+        const tokens = words(segment);
+        if (tokens.length === 0 || LANDMARK_WORDS.has(tokens[0])) continue;
+
+        let chunk = [];
+        const flush = () => {
+            const kept = chunk.filter(w => !/\d/.test(w));
+            const noisy = kept.some(w => NOISE_WORDS.has(w));
+            if (!noisy && kept.length > 0 && kept.length <= MAX_LOCALITY_WORDS && kept.join("").length >= 4) {
+                localities.push(kept.join(" "));
+            }
+            chunk = [];
+        };
+        for (const token of tokens) {
+            if (ROAD_WORDS.has(token)) {
+                if (chunk.length) flush();
+            } else {
+                chunk.push(token);
+            }
+        }
+        flush();
+    }
+    return [...new Set(localities)];
+}
+
+async function bootstrapFromCollection(collectionName) {
+    const { result } = await scrollMatches(collectionName, null, { payloadFields: ["city", "address"] });
+    const cities = new Map();
+    for (const point of result) {
+        const city = canonicalizeCity(point.payload?.city);
+        if (!city) continue;
+        const set = cities.get(city) || new Set();
+        for (const locality of addressLocalities(point.payload?.address, city)) set.add(locality);
+        cities.set(city, set);
+    }
+    return { cities, hospitals: result.length };
+}
+
+async function buildGazetteer(collectionName) {
+    const file = loadLocalityFile();
+    const cities = new Map([...file.cities].map(([city, set]) => [city, new Set(set)]));
+    let expiresAt = Date.now() + REFRESH_MS;
+
+    try {
+        const bootstrapped = await bootstrapFromCollection(collectionName);
+        for (const [city, set] of bootstrapped.cities) {
+            const merged = cities.get(city) || new Set();
+            for (const locality of set) merged.add(locality);
+            cities.set(city, merged);
+        }
+        console.log(`🗺️  Gazetteer: ${[...cities.values()].reduce((n, s) => n + s.size, 0)} localities across ${cities.size} cities from ${bootstrapped.hospitals} hospitals`);
+    } catch (error) {
+        console.warn("⚠️ Couldn't bootstrap localities from the collection, using the localities file only:", error.message);
+        expiresAt = Date.now() + RETRY_MS;
+    }
+
+    // Longest first so "jp nagar" wins over a bare "nagar"
+    const byCity = new Map();
+    for (const [city, set] of cities) {
+        const list = [...set]
+            .filter(locality => !file.ignore.has(locality))
+            .map(locality => locality.split(" "))
+            .sort((a, b) => b.length - a.length);
+        byCity.set(city, list);
+    }
+    return { byCity, expiresAt };
+}
+
+async function getGazetteer() {
+    if (gazetteer && Date.now() < gazetteer.expiresAt) return gazetteer;
+    if (!loading) {
+        loading = buildGazetteer(HOSPITALS_COLLECTION)
+            .then(built => { gazetteer = built; return built; })
+            .finally(() => { loading = null; });
+    }
+    return loading;
+}
+
+// Drop the cached localities so the next lookup re-reads the file and collection (after an ingest)
+export function invalidateGazetteer() {
+    gazetteer = null;
+    fileCache = null;
+}
+
+// Known localities of a city (all cities when none is given), as lowercase strings
+export async function listLocalities(city = null) {
+    const { byCity } = await getGazetteer();
+    const lists = city ? [byCity.get(canonicalizeCity(city)) || []] : [...byCity.values()];
+    return [...new Set(lists.flat().map(locality => locality.join(" ")))].sort();
+}
+
+// "sarjapura" still matches the locality "sarjapur"; short words must match exactly
+function sameWord(a, b) {
+    if (a === b) return true;
+    if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 2) return false;
+    return a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Localities of `city` mentioned in free text, in the order they appear. Each
+ * match is { locality, start } where start is the character offset in `text`.
+ * Without a city every city's localities are considered.
+ */
+export async function findLocalities(text, city = null) {
+    const { byCity } = await getGazetteer();
+    const candidates = city
+        ? byCity.get(canonicalizeCity(city)) || []
+        : [...byCity.values()].flat().sort((a, b) => b.length - a.length);
+
+    const tokens = [...String(text || "").toLowerCase().matchAll(/[a-z0-9]+/g)];
+    const matches = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const found = candidates.find(locality =>
+            locality.every((word, j) => tokens[i + j] && sameWord(word, tokens[i + j][0]))
+        );
+        if (found) {
+            matches.push({ locality: found.join(" "), start: tokens[i].index });
+            i += found.length - 1;
+        }
+    }
+    return matches;
+}
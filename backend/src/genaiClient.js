@@ -1,63 +1,38 @@
 import dotenv from "dotenv";
+import { canonicalizeCity } from "./normalize.js";
+import { parseNetworkDate, todayIso } from "./networkDates.js";
+import { cachedEmbeddings } from "./embeddingCache.js";
+import { getEmbeddingProvider } from "./embeddingProviders.js";
 dotenv.config();
 
 const GOOGLE_KEY = process.env.GOOGLE_API_KEY;
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 
-if (!GOOGLE_KEY) {
-    console.warn("Warning: GOOGLE_API_KEY not set — embeddings will fail until set.");
-}
 if (!ELEVENLABS_API_KEY) {
     console.warn("Warning: ELEVENLABS_API_KEY not set — voice features will fail until set.");
 }
 
 /**
- * Single text embedding (keeping Google for embeddings)
+ * Cache key for the active embedding provider and model, so switching either
+ * never serves vectors produced by the other
  */
-export async function embedText(text) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${GOOGLE_KEY}`;
-
-    const resp = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-            model: "models/text-embedding-004",
-            content: { parts: [{ text }] }
-        })
-    });
-
-    if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error("embedText error: " + resp.status + " - " + txt);
-    }
+export function embeddingModelKey() {
+    const provider = getEmbeddingProvider();
+    return `${provider.name}/${provider.model}`;
+}
 
-    const j = await resp.json();
-    return j?.embedding?.values || [];
+/**
+ * Single text embedding from the configured provider, served from the local cache when possible
+ */
+export async function embedText(text) {
+    const [vector] = await embedTexts([text]);
+    return vector;
 }
 
-//Batch embeddings (keeping Google for embeddings)
+// Batch embeddings from the configured provider; only texts missing from the cache are sent
 export async function embedTexts(texts) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:batchEmbedContents?key=${GOOGLE_KEY}`;
-    const body = {
-        requests: texts.map(text => ({
-            model: "models/text-embedding-004",
-            content: { parts: [{ text }] }
-        }))
-    };
-
-    const resp = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body)
-    });
-
-    if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error("embedTexts error: " + resp.status + " - " + txt);
-    }
-
-    const j = await resp.json();
-    return j?.embeddings?.map(e => e.values) || [];
+    const provider = getEmbeddingProvider();
+    return cachedEmbeddings(embeddingModelKey(), texts, missing => provider.embed(missing));
 }
 
 // Convert audio to text using Google's Gemini (more reliable)
@@ -103,8 +78,8 @@ export async function speechToText(audioBase64) {
     return transcription.trim();
 }
 
-// Parse intent from audio input
-export async function parseIntentFromAudio(audioBase64) {
+// Parse intent from audio input; the intent carries the `transcript` so it can join the conversation
+export async function parseIntentFromAudio(audioBase64, context = null) {
     try {
         const transcription = await speechToText(audioBase64);
 
@@ -112,7 +87,7 @@ export async function parseIntentFromAudio(audioBase64) {
             console.warn("No transcription returned, treating as out_of_scope");
             return { action: "out_of_scope" };
         }
-        return await parseIntentStructured(transcription);
+        return { ...await parseIntentStructured(transcription, context), transcript: transcription };
 
     } catch (error) {
         console.error("Audio intent parsing error:", error);
@@ -120,16 +95,50 @@ export async function parseIntentFromAudio(audioBase64) {
     }
 }
 
-// Parse structured intent from user text using Gemini
-export async function parseIntentStructured(userText) {
+// The conversation so far, for resolving follow-ups; empty when there is nothing to follow up on
+function conversationPrompt(context) {
+    if (!context || (!context.intent && context.messages.length === 0)) return "";
+
+    const lines = ["", "Conversation so far (oldest first):"];
+    for (const message of context.messages) lines.push(`${message.role}: ${message.text}`);
+    if (context.intent) lines.push("", `Previous request: ${JSON.stringify(context.intent)}`);
+    if (context.hospitals.length > 0) {
+        lines.push("Hospitals last listed to the user:");
+        context.hospitals.forEach((h, idx) => lines.push(`${idx + 1}. ${h.name}, ${h.address}, ${h.city}`));
+    }
+    lines.push(
+        "",
+        "Follow-up rules:",
+        "- A follow-up keeps the previous request's action, city, locality, pincode and limit unless the user changes them",
+        `- After {"action":"search","city":"Mumbai","limit":3}: "What about in Pune?" → {"action":"search","city":"Pune","limit":3}`,
+        `- "Show me two more" → {"action":"search","city":"Mumbai","limit":2,"more":true}`,
+        `- "Is the second one cashless?" → {"action":"details","ref":2,"detail":"cashless"}`,
+        `- "Is that one in my network?" after a single hospital → {"action":"confirm","ref":1}`
+    );
+    return lines.join("\n");
+}
+
+/**
+ * Parse structured intent from user text using Gemini. With a `context`
+ * ({ messages, intent, hospitals }: the recent transcript, the previous
+ * parsed request and the hospitals last shown), follow-ups such as "what
+ * about in Pune?" or "the second one" are resolved against the conversation.
+ */
+export async function parseIntentStructured(userText, context = null) {
     const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GOOGLE_KEY}`;
 
     const prompt = `You are an assistant named "Loop AI" whose job is to parse user requests about hospitals.
 Return ONLY a JSON object (no explanation) with the following fields:
-- action: one of "search", "confirm", "out_of_scope"
+- action: one of "search", "confirm", "nearby", "details", "count", "out_of_scope"
 - city: (string) optional - extract city names, including variations like "Bangalore"/"Bengaluru"
 - hospital_name: (string) optional - extract hospital names, including partial names and location identifiers
 - limit: (integer) optional
+- pincode: (string) optional - a 6-digit Indian PIN code the user wants hospitals near
+- locality: (string) optional - the area or neighbourhood the user wants hospitals near
+- date: (string) optional - the day the user asks about, e.g. the date of a past admission, as YYYY-MM-DD. Today is ${todayIso()}.
+- ref: (integer) optional - the position (from 1) of a hospital from the last list shown that the user refers to ("the second one" → 2)
+- more: (boolean) optional - true when the user asks for more results of the previous search
+- detail: (string) optional - for "details", what the user asks about: one of "cashless", "phone", "address", "specialities", "tier"
 
 IMPORTANT INSTRUCTIONS for hospital name extraction:
 - Extract the main hospital name even if it includes location identifiers (e.g., "Manipal Sarjapur" from "Manipal Sarjapur in Bangalore")
@@ -143,6 +152,12 @@ Examples:
 "Is Apollo Cradle Jayanagar covered?" → {"action":"confirm","hospital_name":"Apollo Cradle Jayanagar"}
 "Find Fortis Hospital Bannerghatta Road" → {"action":"confirm","hospital_name":"Fortis Hospital Bannerghatta Road"}
 "Show me hospitals in Mumbai" → {"action":"search","city":"Mumbai"}
+"How many network hospitals are there in Pune?" → {"action":"count","city":"Pune"}
+"Which network hospital is closest to 560034?" → {"action":"nearby","pincode":"560034"}
+"Hospitals near Koramangala in Bangalore" → {"action":"nearby","locality":"Koramangala","city":"Bangalore"}
+"What's the nearest hospital to me?" → {"action":"nearby"}
+"Was Ruby Hall Wanowrie in network on 5 March 2024?" → {"action":"confirm","hospital_name":"Ruby Hall Wanowrie","date":"2024-03-05"}
+"Does Apollo Cradle Jayanagar offer cashless?" → {"action":"details","hospital_name":"Apollo Cradle Jayanagar","detail":"cashless"}
 "What's the weather like?" → {"action":"out_of_scope"}
 
 Rules:
@@ -150,6 +165,11 @@ Rules:
 - Only return a valid JSON object.
 - For city names, accept common variations (Bangalore/Bengaluru, Mumbai/Bombay, etc.)
 - For hospital names, capture the full name as the user mentioned it
+- Use "nearby" when the user asks for the closest or nearest hospitals to a place, PIN code or themselves
+- Only set date when the user names a day; leave it out for questions about current coverage
+- Use "details" for questions about a hospital's cashless facility, phone number, address, specialities or tier
+- Use "count" when the user asks how many hospitals there are in a city
+${conversationPrompt(context)}
 
 User text: """${userText}"""`;
 
@@ -172,16 +192,16 @@ User text: """${userText}"""`;
     try {
         const parsed = JSON.parse(outText);
 
-        // Post-process to handle common city variations
+        // Post-process to the same canonical city names used at ingest time
         if (parsed.city) {
-            const cityLower = parsed.city.toLowerCase();
-            if (cityLower.includes('bangalore') || cityLower.includes('bengaluru')) {
-                parsed.city = 'Bengaluru';
-            } else if (cityLower.includes('mumbai') || cityLower.includes('bombay')) {
-                parsed.city = 'Mumbai';
-            } else if (cityLower.includes('delhi')) {
-                parsed.city = 'Delhi';
-            }
+            parsed.city = canonicalizeCity(parsed.city);
+        }
+        if (parsed.date) {
+            parsed.date = parseNetworkDate(parsed.date);
+        }
+        // A reference to the last list is a position from 1; anything else can't be resolved
+        if (parsed.ref !== undefined && !(Number.isInteger(parsed.ref) && parsed.ref > 0)) {
+            delete parsed.ref;
         }
 
         return parsed;
@@ -191,6 +211,62 @@ User text: """${userText}"""`;
     }
 }
 
+// Grade how well each hospital matches the user's query (0-1) using Gemini, for the llm re-ranker; null for any it skips
+export async function scoreHospitalRelevance(query, hospitals) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GOOGLE_KEY}`;
+
+    const list = hospitals
+        .map((h, idx) => `${idx}. ${h.name || ""} | ${h.address || ""} | ${h.city || ""}`)
+        .join("\n");
+
+    const prompt = `A user is looking for a hospital in their insurance network. Rate how likely each candidate is the hospital they mean.
+Return ONLY a JSON array with one object per candidate, in the same order: {"index": number, "score": number between 0 and 1}.
+Score 1 when name and branch/locality clearly match, around 0.5 when only the brand matches, 0 when unrelated.
+Do NOT include markdown formatting.
+
+User query: """${query}"""
+
+Candidates:
+${list}`;
+
+    const resp = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            // Thinking tokens count against the output limit and would cut the array short
+            generationConfig: { temperature: 0.0, maxOutputTokens: 2000, thinkingConfig: { thinkingBudget: 0 } }
+        })
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Gemini rerank error: " + resp.status + " - " + txt);
+    }
+
+    const j = await resp.json();
+    if (j?.candidates?.[0]?.finishReason === "MAX_TOKENS") {
+        throw new Error(`Rerank scores for ${hospitals.length} candidates were cut off at the output token limit`);
+    }
+    const outText = (j?.candidates?.[0]?.content?.parts?.[0]?.text || "")
+        .replace(/```json/gi, "").replace(/```/g, "").trim();
+
+    let grades;
+    try {
+        grades = JSON.parse(outText);
+    } catch {
+        throw new Error("Failed to parse rerank scores from model: " + outText);
+    }
+
+    const scores = hospitals.map(() => null);
+    for (const grade of Array.isArray(grades) ? grades : []) {
+        const idx = Number(grade?.index);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= scores.length) continue;
+        scores[idx] = Math.min(1, Math.max(0, Number(grade.score) || 0));
+    }
+    return scores;
+}
+
 // Convert text to speech using ElevenLabs
 export async function textToSpeech(text, voiceId = "21m00Tcm4TlvDq8ikWAM") {
     //using Default voice - "Rachel"
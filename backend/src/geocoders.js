@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { canonicalizeCity } from "./normalize.js";
+import { addressLocalities } from "./gazetteer.js";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CENTROIDS_FILE = process.env.GEO_CENTROIDS_FILE || path.join(__dirname, "..", "geoCentroids.json");
+
+// Indian PIN codes are six digits starting 1-8, sometimes written "560 034"
+const PINCODE_PATTERN = /\b([1-8]\d{2})\s?(\d{3})\b/;
+
+export function extractPincode(text) {
+    const match = String(text || "").match(PINCODE_PATTERN);
+    return match ? match[1] + match[2] : null;
+}
+
+function toLocation([lat, lon], precision) {
+    return { lat, lon, precision };
+}
+
+let centroids = null;
+
+// { "pincodes": { "<pin>": [lat, lon] }, "localities": { "<city>": { "<locality>": [lat, lon] } }, "cities": { "<city>": [lat, lon] } }
+function loadCentroids() {
+    if (centroids) return centroids;
+    let data = {};
+    try {
+        data = JSON.parse(fs.readFileSync(CENTROIDS_FILE, "utf8"));
+    } catch (error) {
+        console.warn(`⚠️ Failed to read geo centroids from ${CENTROIDS_FILE}:`, error.message);
+    }
+
+    const localities = new Map();
+    for (const [city, table] of Object.entries(data.localities || {})) {
+        localities.set(canonicalizeCity(city), new Map(Object.entries(table).map(([name, point]) => [name.toLowerCase(), point])));
+    }
+    const cities = new Map(Object.entries(data.cities || {}).map(([city, point]) => [canonicalizeCity(city), point]));
+
+    centroids = { pincodes: data.pincodes || {}, localities, cities };
+    return centroids;
+}
+
+/**
+ * Offline lookup against a centroid table: the PIN code's centroid when the
+ * table has it, else the first known locality in the address, else the city
+ * centre. Coarse, but needs no network and is good enough to rank by distance.
+ */
+function createOfflineGeocoder() {
+    return {
+        name: "offline",
+        async geocode({ address = "", city = "", pincode = null, locality = null }) {
+            const table = loadCentroids();
+
+            const pin = pincode || extractPincode(address);
+            if (pin && table.pincodes[pin]) return toLocation(table.pincodes[pin], "pincode");
+
+            const canonical = canonicalizeCity(city);
+            const cityLocalities = table.localities.get(canonical);
+            if (cityLocalities) {
+                const candidates = locality ? [String(locality).toLowerCase().trim()] : addressLocalities(address, canonical);
+                for (const name of candidates) {
+                    if (cityLocalities.has(name)) return toLocation(cityLocalities.get(name), "locality");
+                }
+            }
+
+            if (table.cities.has(canonical)) return toLocation(table.cities.get(canonical), "city");
+            return null;
+        }
+    };
+}
+
+/**
+ * Google Geocoding API, for street-level positions. Uses GOOGLE_MAPS_API_KEY
+ * (falling back to GOOGLE_API_KEY) and caches answers for the process lifetime.
+ */
+function createGoogleGeocoder() {
+    const key = process.env.GOOGLE_MAPS_API_KEY || process.env.GOOGLE_API_KEY;
+    const cache = new Map();
+
+    return {
+        name: "google",
+        async geocode({ address = "", city = "", pincode = null, locality = null }) {
+            const query = [address || locality, city, pincode, "India"].filter(Boolean).join(", ");
+            if (cache.has(query)) return cache.get(query);
+
+            const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&region=in&key=${key}`;
+            const resp = await fetch(url);
+            if (!resp.ok) {
+                const txt = await resp.text();
+                throw new Error("Geocoding error: " + resp.status + " - " + txt);
+            }
+
+            const j = await resp.json();
+            if (j.status !== "OK" && j.status !== "ZERO_RESULTS") {
+                throw new Error(`Geocoding error: ${j.status} ${j.error_message || ""}`.trim());
+            }
+            const top = j.results?.[0];
+            const location = top
+                ? { lat: top.geometry.location.lat, lon: top.geometry.location.lng, precision: top.geometry.location_type === "ROOFTOP" ? "address" : "approximate" }
+                : null;
+            cache.set(query, location);
+            return location;
+        }
+    };
+}
+
+const GEOCODERS = {
+    offline: createOfflineGeocoder,
+    google: createGoogleGeocoder
+};
+
+let geocoder = null;
+
+/**
+ * The configured geocoder, picked by GEOCODER (offline by default). Every
+ * geocoder exposes { name, geocode({ address, city, pincode, locality }) }
+ * resolving to { lat, lon, precision } or null when the place is unknown.
+ */
+export function getGeocoder() {
+    if (geocoder) return geocoder;
+
+    const name = (process.env.GEOCODER || "offline").toLowerCase();
+    const create = GEOCODERS[name];
+    if (!create) {
+        throw new Error(`Unknown GEOCODER "${name}" - expected one of ${Object.keys(GEOCODERS).join(", ")}`);
+    }
+    geocoder = create();
+    return geocoder;
+}
+
+/**
+ * Centre point for a nearby search: explicit coordinates as given, otherwise
+ * the configured geocoder's position for a PIN code or a locality in a city.
+ */
+export async function locatePlace({ lat = null, lon = null, pincode = null, locality = null, city = null }) {
+    if (lat !== null && lon !== null) return { lat: Number(lat), lon: Number(lon), precision: "exact" };
+    if (!pincode && !locality && !city) return null;
+    return getGeocoder().geocode({ pincode, locality, city });
+}
@@ -0,0 +1,191 @@
+import { getPoint, setPayload, upsertPointsFast, scrollMatches, exactMatchByCity, countByCity, countMatches } from "./qdrantClient.js";
+import { HOSPITALS_COLLECTION, resolveCollection } from "./collections.js";
+import { normalizeHospital } from "./normalize.js";
+import { FIELD_ALIASES, coerceField } from "./csvSchema.js";
+import { buildHospitalPoint, createHospitalKey } from "./ingestPipeline.js";
+import { recordAuditEvents } from "./auditLog.js";
+import { todayIso, dayBefore, networkStatus, reopenNetworkPeriod } from "./networkDates.js";
+
+// Fields an admin can set: the same ones a network file can carry
+export const HOSPITAL_FIELDS = Object.keys(FIELD_ALIASES);
+// Stricter than a network file, where only the name is required: a hospital added by hand should say where it is
+const REQUIRED_FIELDS = ["name", "city"];
+
+const MAX_PAGE_SIZE = 100;
+
+function toHospital(point) {
+    return { id: point.id, ...point.payload };
+}
+
+// The editable part of a stored hospital, plus the unmapped file columns and earlier network periods it came with
+function fromPayload(payload) {
+    const hospital = { address: "" };
+    for (const field of [...HOSPITAL_FIELDS, "extra", "network_periods"]) {
+        if (payload[field] !== undefined && payload[field] !== null) hospital[field] = payload[field];
+    }
+    return hospital;
+}
+
+/**
+ * Validate a create/update body. Values go through the same coercion as file
+ * columns (cashless "yes" -> true, specialities and plans "a, b" -> ["a", "b"]); null or
+ * "" clears an optional field. With `partial` the required fields may be
+ * left out. Returns { fields, errors }.
+ */
+export function parseHospitalInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { fields: null, errors: ["body must be a JSON object"] };
+    }
+
+    const errors = [];
+    const unknown = Object.keys(body).filter(field => !HOSPITAL_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`unknown field(s) ${unknown.join(", ")} - expected ${HOSPITAL_FIELDS.join(", ")}`);
+    }
+
+    const fields = {};
+    for (const field of HOSPITAL_FIELDS) {
+        if (!(field in body)) continue;
+        let value = body[field];
+        if ((field === "specialities" || field === "plans") && Array.isArray(value)) value = value.join(",");
+        if (value !== null && typeof value === "object") {
+            errors.push(`${field} must be a string`);
+            continue;
+        }
+
+        value = value === null ? "" : String(value).trim();
+        if (!value) {
+            if (REQUIRED_FIELDS.includes(field)) errors.push(`${field} must not be empty`);
+            else fields[field] = null;
+            continue;
+        }
+
+        const coerced = coerceField(field, value);
+        if (coerced === null) errors.push(`${field} must be ${field === "cashless" ? "yes or no" : "a date (YYYY-MM-DD)"}`);
+        else fields[field] = coerced;
+    }
+
+    if (!partial) {
+        for (const field of REQUIRED_FIELDS) {
+            if (!(field in body)) errors.push(`${field} required`);
+        }
+    }
+    return { fields, errors };
+}
+
+async function findHospitalByKey(collection, uniqueKey) {
+    const { result } = await scrollMatches(collection, { must: [{ key: "unique_key", match: { value: uniqueKey } }] }, { limit: 1 });
+    return result[0] || null;
+}
+
+// Cleared (null) fields are dropped so the payload doesn't keep them
+function withoutCleared(hospital) {
+    return Object.fromEntries(Object.entries(hospital).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// The change is already applied, so a failed audit write is logged rather than failing the request
+function audit(collection, actor, event) {
+    try {
+        recordAuditEvents([event], { origin: "api", actor, collection });
+    } catch (error) {
+        console.error(`❌ Failed to audit ${event.action} of hospital ${event.hospitalId}:`, error.message);
+    }
+}
+
+async function writeHospital(collection, hospital, { actor, before = null }) {
+    const point = await buildHospitalPoint(collection, hospital);
+    await upsertPointsFast(collection, [point]);
+    audit(collection, actor, { hospitalId: point.id, action: before ? "updated" : "created", before, after: point.payload });
+    return toHospital(point);
+}
+
+/**
+ * Add a hospital from validated fields. It gets the same normalization,
+ * unique_key, id, embedding and geocode as an ingested row; a hospital
+ * already stored under that unique_key is returned as `conflict` instead,
+ * unless it has left the network, in which case it rejoins with the new
+ * fields and keeps the period it left. `actor` is who the audit log credits
+ * with the change.
+ */
+export async function createHospital(fields, { actor = null } = {}) {
+    const collection = await resolveCollection(HOSPITALS_COLLECTION);
+    // A hospital added by hand joins the network the day it is added, unless told otherwise
+    const hospital = normalizeHospital(withoutCleared({ address: "", effective_from: todayIso(), ...fields }));
+
+    const existing = await findHospitalByKey(collection, createHospitalKey(hospital));
+    if (existing && networkStatus(existing.payload).reason !== "ended") return { conflict: toHospital(existing) };
+    if (existing) {
+        const rejoined = {
+            ...hospital,
+            plans: hospital.plans || existing.payload.plans,
+            ...reopenNetworkPeriod(existing.payload, hospital.effective_from, hospital.effective_to),
+            id: existing.id
+        };
+        return { hospital: await writeHospital(collection, rejoined, { actor, before: existing.payload }) };
+    }
+
+    return { hospital: await writeHospital(collection, hospital, { actor }) };
+}
+
+/**
+ * Apply validated changes to a stored hospital and rewrite its point under
+ * the same id. unique_key, city_exact and the embedding are rebuilt from the
+ * merged record; the embedding cache makes that free when name, address and
+ * city didn't change. Returns null when the id is unknown.
+ */
+export async function updateHospital(id, changes, { actor = null } = {}) {
+    const collection = await resolveCollection(HOSPITALS_COLLECTION);
+    const existing = await getPoint(collection, id);
+    if (!existing) return null;
+
+    const hospital = normalizeHospital(withoutCleared({ ...fromPayload(existing.payload), ...changes }));
+    // Keep the values as first received unless this update replaces them
+    if (changes.address === undefined && existing.payload.raw_address !== undefined) hospital.raw_address = existing.payload.raw_address;
+    if (changes.city === undefined && existing.payload.raw_city !== undefined) hospital.raw_city = existing.payload.raw_city;
+
+    const uniqueKey = createHospitalKey(hospital);
+    if (uniqueKey !== existing.payload.unique_key) {
+        const clash = await findHospitalByKey(collection, uniqueKey);
+        if (clash && String(clash.id) !== String(existing.id)) return { conflict: toHospital(clash) };
+    }
+
+    return { hospital: await writeHospital(collection, { ...hospital, id: existing.id }, { actor, before: existing.payload }) };
+}
+
+/**
+ * Take a hospital out of the network from today, as a sync does when it is no
+ * longer listed: it stays stored so past dates can still be confirmed. One
+ * that has already left is returned unchanged. Returns the hospital as now
+ * stored, or null when the id is unknown.
+ */
+export async function deleteHospital(id, { actor = null } = {}) {
+    const collection = await resolveCollection(HOSPITALS_COLLECTION);
+    const existing = await getPoint(collection, id);
+    if (!existing) return null;
+    if (networkStatus(existing.payload).reason === "ended") return toHospital(existing);
+
+    const after = { ...existing.payload, effective_to: dayBefore(todayIso()) };
+    await setPayload(collection, [existing.id], { effective_to: after.effective_to });
+    audit(collection, actor, { hospitalId: existing.id, action: "delisted", before: existing.payload, after });
+    return toHospital({ id: existing.id, payload: after });
+}
+
+/**
+ * One page of hospitals, optionally in a single city, in stable id order.
+ * Pass the returned `nextCursor` back as `cursor` for the following page.
+ */
+export async function listHospitals({ city = null, limit = 20, cursor = null } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+    const options = { limit: pageSize, offset: cursor };
+
+    const [page, total] = await Promise.all([
+        city ? exactMatchByCity(HOSPITALS_COLLECTION, city, options) : scrollMatches(HOSPITALS_COLLECTION, null, options),
+        city ? countByCity(HOSPITALS_COLLECTION, city) : countMatches(HOSPITALS_COLLECTION)
+    ]);
+
+    return {
+        hospitals: page.result.map(toHospital),
+        total,
+        nextCursor: page.next_page_offset ?? null
+    };
+}
@@ -6,6 +6,8 @@ import cors from "cors";
 import chatRoutes from "./routes/chatRoutes.js";
 import searchRoutes from "./routes/searchRoutes.js";
 import ingestRoutes from "./routes/ingestRoutes.js";
+import hospitalRoutes from "./routes/hospitalRoutes.js";
+import { getEmbeddingCacheStats } from "./embeddingCache.js";
 
 dotenv.config();
 const app = express();
@@ -13,8 +15,8 @@ const PORT = process.env.PORT || 4000;
 
 app.use(cors({
     origin: ["http://localhost:5173", "http://localhost:3000"],
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Audit-User"],
     credentials: true
 }));
 
@@ -28,6 +30,7 @@ app.use((req, res, next) => {
 
 app.use("/api", chatRoutes);
 app.use("/api", searchRoutes);
+app.use("/api", hospitalRoutes);
 app.use("/api/ingest", ingestRoutes);
 
 app.get("/health", (req, res) => {
@@ -45,6 +48,11 @@ app.get("/health", (req, res) => {
     res.json(healthStatus);
 });
 
+// Embedding cache hit/miss counters since startup and entries stored per model
+app.get("/api/embeddings/cache", (req, res) => {
+    res.json(getEmbeddingCacheStats());
+});
+
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
     res.status(500).json({
@@ -68,6 +76,18 @@ app.listen(PORT, () => {
     console.log(`   - POST /api/chat (text chat)`);
     console.log(`   - POST /api/voice-chat (voice chat)`);
     console.log(`   - POST /api/search (hospital search)`);
+    console.log(`   - POST /api/confirm (network status of a hospital, optionally on a date)`);
+    console.log(`   - GET/DELETE /api/sessions/:sessionId (chat transcript)`);
+    console.log(`   - GET  /api/hospitals (list hospitals, by city)`);
+    console.log(`   - POST /api/hospitals (add a hospital)`);
+    console.log(`   - GET  /api/hospitals/:id (hospital by id)`);
+    console.log(`   - PATCH/DELETE /api/hospitals/:id (update or remove a hospital)`);
+    console.log(`   - GET  /api/hospitals/:id/history (hospital change history)`);
+    console.log(`   - GET  /api/audit (recent network changes)`);
+    console.log(`   - GET  /api/localities (locality gazetteer)`);
+    console.log(`   - POST /api/ingest/upload (background network file ingestion)`);
+    console.log(`   - GET  /api/ingest/jobs/:jobId (ingestion job status)`);
+    console.log(`   - GET  /api/embeddings/cache (embedding cache stats)`);
     console.log(`   - GET  /health (health check)`);
 
     if (!process.env.GOOGLE_API_KEY) {
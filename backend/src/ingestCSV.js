@@ -1,243 +1,185 @@
 import fs from "fs";
-import { parse } from "csv-parse";
-import { v4 as uuidv4 } from "uuid";
-import dotenv from "dotenv";
-dotenv.config();
-
-import { embedTexts } from "./genaiClient.js";
-import { ensureCollection, upsertPointsFast, getAllExistingKeys } from "./qdrantClient.js";
-
-const COLLECTION = "hospitals";
-const INPUT_CSV = process.argv[2] || "./hospitals_sample.csv";
-
-// Dynamic batch sizing based on API limits
-const EMBEDDING_BATCH_SIZE = 100;
-const DB_BATCH_SIZE = 500;
-const MAX_CONCURRENT_EMBEDDINGS = 2;
-
-async function readCsv(filePath) {
-    return new Promise((resolve, reject) => {
-        const rows = [];
-        fs.createReadStream(filePath)
-            .pipe(parse({ columns: false, trim: true, skip_empty_lines: true }))
-            .on("data", row => rows.push(row))
-            .on("end", () => resolve(rows))
-            .on("error", err => reject(err));
-    });
+import { runIngestion, runSync, createIngestStats } from "./ingestPipeline.js";
+import { HOSPITALS_COLLECTION, nextCollectionVersion, validateCollection, promoteCollection } from "./collections.js";
+import { openCheckpoint, DEFAULT_CHECKPOINT_FILE } from "./ingestCheckpoint.js";
+import { getEmbeddingCacheStats } from "./embeddingCache.js";
+
+const args = process.argv.slice(2);
+const SYNC = args.includes("--sync");
+const DRY_RUN = args.includes("--dry-run");
+const RESUME = args.includes("--resume");
+const REBUILD = args.includes("--rebuild");
+const NO_PROMOTE = args.includes("--no-promote");
+const ALLOW_SHRINK = args.includes("--allow-shrink");
+const REPLACE_LEGACY = args.includes("--replace-legacy");
+const SOURCE = args.find(arg => arg.startsWith("--source="))?.split("=")[1] || null;
+const FORMAT = args.find(arg => arg.startsWith("--format="))?.split("=")[1] || null;
+const SHEET = args.find(arg => arg.startsWith("--sheet="))?.split("=")[1] || null;
+const REVIEW_FILE = args.find(arg => arg.startsWith("--review-file="))?.split("=")[1] || "./duplicate_review.json";
+const CHECKPOINT_FILE = args.find(arg => arg.startsWith("--checkpoint="))?.split("=")[1] || DEFAULT_CHECKPOINT_FILE;
+// The plan the file lists hospitals for; its hospitals are added to that plan
+const PLAN = args.find(arg => arg.startsWith("--plan="))?.split("=")[1] || null;
+// Who the audit log credits with the changes this run makes
+const ACTOR = args.find(arg => arg.startsWith("--actor="))?.split("=")[1] || process.env.USER || null;
+const INPUT_FILE = args.find(arg => !arg.startsWith("--")) || "./hospitals_sample.csv";
+
+function printValidationReport(validation) {
+    console.log(`\n🧾 Column mapping${validation.source ? ` (source: ${validation.source})` : ""}:`);
+    for (const [field, column] of Object.entries(validation.columns)) {
+        console.log(`   ${field} ← ${validation.headerDetected ? `"${column}"` : `column ${column + 1}`}`);
+    }
+    if (validation.extraColumns.length > 0) {
+        console.log(`   extra ← ${validation.extraColumns.map(c => `"${c}"`).join(", ")}`);
+    }
+    if (validation.missingRequired.length > 0) {
+        console.log(`⚠️  Rows missing required fields (${validation.missingRequired.length}):`);
+        for (const issue of validation.missingRequired) {
+            console.log(`   row ${issue.row}: missing ${issue.missing.join(", ")} → ${JSON.stringify(issue.values)}`);
+        }
+    }
 }
 
-function parseHospitalRow(row) {
-    if (!row || row.length < 3) {
-        console.warn("Invalid row format:", row);
-        return null;
+function writeDuplicateReview(duplicateReport) {
+    if (duplicateReport.totals.merged > 0) {
+        console.log(`\n🔗 Near-duplicates merged (${duplicateReport.totals.merged}, ${duplicateReport.merged.length} listed):`);
     }
-
-    const name = (row[0] || "").trim();
-    const address = (row[1] || "").trim();
-    const city = (row[2] || "").trim();
-
-    if (!name) {
-        console.warn("Missing hospital name in row:", row);
-        return null;
+    for (const cluster of duplicateReport.merged) {
+        console.log(`   ⇄ ${cluster.kept.name} | ${cluster.kept.address} ← ${cluster.merged.map(m => m.address).join(" ; ")}`);
+    }
+    if (duplicateReport.totals.review > 0) {
+        fs.writeFileSync(REVIEW_FILE, JSON.stringify(duplicateReport, null, 2));
+        console.log(`🧐 ${duplicateReport.totals.review} possible duplicate pair(s) found, the ${duplicateReport.review.length} closest written to ${REVIEW_FILE} for review`);
     }
-
-    return { name, address, city };
 }
 
-function createHospitalKey(hospital) {
-    return `${hospital.name.toLowerCase().trim()}|${hospital.city.toLowerCase().trim()}|${hospital.address.toLowerCase().trim()}`;
+function printSyncReport(report, counts) {
+    console.log(`\n📝 Sync report${report.dryRun ? " (dry run)" : ""}:`);
+    for (const hospital of report.added) {
+        console.log(`   + ${hospital.name} | ${hospital.address} | ${hospital.city}`);
+    }
+    for (const change of report.modified) {
+        console.log(`   ~ ${change.before.name} | ${change.before.address} → ${change.after.address} | ${change.after.city}`);
+    }
+    for (const hospital of report.removed) {
+        console.log(`   - ${hospital.name} | ${hospital.address} | ${hospital.city}`);
+    }
+    if (report.truncated) console.log("   … more changes than listed here");
+    console.log(`   Added: ${counts.new}, Modified: ${counts.modified}, Removed: ${counts.removed}, Unchanged: ${report.unchanged}`);
 }
 
-async function processEmbeddingBatch(batch, batchIndex, totalBatches) {
-    const texts = batch.map(hospital =>
-        `${hospital.name} | ${hospital.address} | ${hospital.city}`
-    );
-
-    console.log(`🔄 Embedding batch ${batchIndex + 1}/${totalBatches} (${batch.length} hospitals)...`);
-
-    let vectors;
-    let retries = 0;
-    const maxRetries = 3;
-
-    while (retries < maxRetries) {
-        try {
-            vectors = await embedTexts(texts);
-            break;
-        } catch (error) {
-            retries++;
-            if (retries === maxRetries) {
-                console.error(`❌ Failed to embed batch ${batchIndex + 1} after ${maxRetries} retries:`, error.message);
-                throw error;
-            }
-
-            const delay = Math.min(1000 * Math.pow(2, retries), 5000); // Exponential backoff, max 5s
-            console.log(`⚠️  Embedding failed, retry ${retries}/${maxRetries} for batch ${batchIndex + 1} (waiting ${delay}ms)`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
+// Check the freshly built version and, unless --no-promote, swap the alias over to it
+async function promoteRebuild(collection, counts) {
+    const problems = await validateCollection(collection, {
+        expectedCount: counts.existing + counts.ingested,
+        allowShrink: ALLOW_SHRINK
+    });
+    if (problems.length > 0) {
+        console.log(`\n🛑 ${collection} failed validation and was not promoted:`);
+        problems.forEach(problem => console.log(`   • ${problem}`));
+        return false;
     }
-
-    const points = batch.map((hospital, idx) => ({
-        id: uuidv4(),
-        vector: vectors[idx],
-        payload: {
-            name: hospital.name,
-            address: hospital.address,
-            city: hospital.city,
-            city_exact: hospital.city,
-            unique_key: createHospitalKey(hospital)
-        }
-    }));
-
-    return points;
+    console.log(`\n✅ ${collection} passed validation`);
+    if (NO_PROMOTE) {
+        console.log(`   Promote it with: npm run collections -- promote ${collection}`);
+        return true;
+    }
+    await promoteCollection(collection, { replaceLegacy: REPLACE_LEGACY });
+    return true;
 }
 
-async function processDatabaseBatch(points, batchIndex, totalBatches) {
-    console.log(`💾 Inserting batch ${batchIndex + 1}/${totalBatches} (${points.length} points)...`);
-
-    let retries = 0;
-    const maxRetries = 3;
-
-    while (retries < maxRetries) {
-        try {
-            await upsertPointsFast(COLLECTION, points);
-            return points.length;
-        } catch (error) {
-            retries++;
-            if (retries === maxRetries) {
-                console.error(`❌ Failed to insert batch ${batchIndex + 1} after ${maxRetries} retries:`, error.message);
-                throw error;
-            }
-
-            const delay = 1000 * retries;
-            console.log(`⚠️  Database insert failed, retry ${retries}/${maxRetries} for batch ${batchIndex + 1} (waiting ${delay}ms)`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
+function printFailures(stats) {
+    console.log(`\n🛑 ${stats.failedRows.length} hospital(s) could not be written:`);
+    for (const error of stats.errors.filter(e => e.stage !== "parse")) {
+        console.log(`   ${error.stage}: ${error.message}`);
+    }
+    for (const hospital of stats.failedRows) {
+        console.log(`   ✗ ${hospital.name} | ${hospital.address} | ${hospital.city}`);
+    }
+    if (!DRY_RUN) {
+        console.log(`↩️  Progress saved to ${CHECKPOINT_FILE} - rerun with --resume to retry only these rows`);
     }
 }
 
 (async () => {
     const startTime = Date.now();
-    console.log("🚀 Starting optimized hospital ingestion...");
-
-    console.log("Ensuring collection...");
-    await ensureCollection(COLLECTION, 768);
-
-    console.log("Reading CSV:", INPUT_CSV);
-    const rows = await readCsv(INPUT_CSV);
-    console.log(`📄 Total rows found: ${rows.length}`);
+    console.log(SYNC ? "🚀 Starting hospital network sync..." : "🚀 Starting optimized hospital ingestion...");
 
-    // Skip header row if it exists
-    let dataRows = rows;
-    if (rows.length > 0 && rows[0].some(cell =>
-        cell?.toLowerCase().includes('hospital') ||
-        cell?.toLowerCase().includes('name') ||
-        cell?.toLowerCase().includes('address'))) {
-        dataRows = rows.slice(1);
-        console.log(`📋 Skipped header row, processing: ${dataRows.length} data rows`);
-    }
-
-    // Parse hospital data
-    const hospitals = [];
-    let skippedCount = 0;
-
-    for (const row of dataRows) {
-        const hospital = parseHospitalRow(row);
-        if (!hospital) {
-            skippedCount++;
-            continue;
+    const stats = createIngestStats();
+    let collection = HOSPITALS_COLLECTION;
+    try {
+        if (REBUILD && SYNC) {
+            throw new Error("--rebuild builds a fresh collection; it can't be combined with --sync");
         }
-        hospitals.push(hospital);
-    }
-
-    console.log(`✅ Parsed ${hospitals.length} valid hospitals`);
-
-    const hospitalMap = new Map();
-    let duplicateCount = 0;
-
-    for (const hospital of hospitals) {
-        const key = createHospitalKey(hospital);
-        if (!hospitalMap.has(key)) {
-            hospitalMap.set(key, hospital);
+        // A rebuild ingests into the next versioned collection while searches keep using the live one
+        if (REBUILD && !RESUME) {
+            collection = await nextCollectionVersion();
+            console.log(`🏗️  Building new collection ${collection}`);
+        }
+        // Dry runs write nothing, so there is nothing to resume
+        const checkpoint = DRY_RUN ? null : openCheckpoint(CHECKPOINT_FILE, INPUT_FILE, { mode: SYNC ? "sync" : "ingest", collection, resume: RESUME });
+        collection = checkpoint?.collection || collection;
+        if (SYNC) {
+            await runSync(INPUT_FILE, { collection, source: SOURCE, format: FORMAT, sheet: SHEET, plan: PLAN, dryRun: DRY_RUN, checkpoint, actor: ACTOR, stats });
         } else {
-            duplicateCount++;
+            await runIngestion(INPUT_FILE, { collection, source: SOURCE, format: FORMAT, sheet: SHEET, plan: PLAN, checkpoint, actor: ACTOR, stats });
         }
+    } catch (error) {
+        console.error("❌ Ingestion failed:", error);
+        process.exit(1);
     }
 
-    const uniqueHospitals = Array.from(hospitalMap.values());
-    console.log(`🔍 Unique hospitals after deduplication: ${uniqueHospitals.length} (${duplicateCount} duplicates removed)`);
-
-    console.log("🔍 Checking for existing records in database...");
-    const existingKeys = await getAllExistingKeys(COLLECTION);
-    console.log(`💾 Found ${existingKeys.size} existing records in database`);
-
-    const newHospitals = uniqueHospitals.filter(hospital => {
-        const key = createHospitalKey(hospital);
-        return !existingKeys.has(key);
-    });
-
-    console.log(`➕ New hospitals to insert: ${newHospitals.length}`);
-    if (newHospitals.length === 0) {
-        console.log("✅ No new hospitals to process!");
-        const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`⏱️  Total time: ${totalTime} seconds`);
-        process.exit(0);
-    }
-
-    console.log(`🔄 Processing embeddings in batches of ${EMBEDDING_BATCH_SIZE}...`);
-
-    const embeddingBatches = [];
-    for (let i = 0; i < newHospitals.length; i += EMBEDDING_BATCH_SIZE) {
-        embeddingBatches.push(newHospitals.slice(i, i + EMBEDDING_BATCH_SIZE));
+    if (stats.validation) {
+        printValidationReport(stats.validation);
     }
-
-    let allPoints = [];
-    let totalProcessed = 0;
-
-    for (let i = 0; i < embeddingBatches.length; i += MAX_CONCURRENT_EMBEDDINGS) {
-        const currentBatches = embeddingBatches.slice(i, i + MAX_CONCURRENT_EMBEDDINGS);
-
-        const promises = currentBatches.map((batch, idx) =>
-            processEmbeddingBatch(batch, i + idx, embeddingBatches.length)
-        );
-
-        try {
-            const batchResults = await Promise.all(promises);
-
-            for (const points of batchResults) {
-                allPoints.push(...points);
-                totalProcessed += points.length;
-            }
-
-            console.log(`✅ Embedding progress: ${totalProcessed}/${newHospitals.length} hospitals`);
-
-            if (allPoints.length >= DB_BATCH_SIZE || i + MAX_CONCURRENT_EMBEDDINGS >= embeddingBatches.length) {
-                const dbBatchIndex = Math.floor(totalProcessed / DB_BATCH_SIZE);
-                const totalDbBatches = Math.ceil(newHospitals.length / DB_BATCH_SIZE);
-
-                await processDatabaseBatch(allPoints, dbBatchIndex, totalDbBatches);
-                allPoints = [];
-            }
-
-        } catch (error) {
-            console.error(`❌ Error in embedding batch group starting at ${i + 1}:`, error);
-        }
+    if (stats.duplicateReport) {
+        writeDuplicateReview(stats.duplicateReport);
     }
-
-    if (allPoints.length > 0) {
-        await processDatabaseBatch(allPoints, Math.ceil(totalProcessed / DB_BATCH_SIZE), Math.ceil(newHospitals.length / DB_BATCH_SIZE));
+    if (stats.report) {
+        printSyncReport(stats.report, stats.counts);
     }
 
+    const { counts } = stats;
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    const processingRate = (newHospitals.length / (totalTime / 60)).toFixed(0);
-
-    console.log("\n🎉 CSV ingestion completed!");
+    const processingRate = (counts.new / (totalTime / 60)).toFixed(0);
+
+    let failed = counts.failed > 0;
+    if (failed) {
+        printFailures(stats);
+        console.log(SYNC ? "\n⚠️  Network sync finished with failures" : "\n⚠️  Network file ingestion finished with failures");
+    } else {
+        console.log(SYNC ? "\n🎉 Network sync completed!" : "\n🎉 Network file ingestion completed!");
+    }
     console.log("📊 Summary:");
-    console.log(`   • Total rows read: ${dataRows.length}`);
-    console.log(`   • Valid hospitals parsed: ${hospitals.length}`);
-    console.log(`   • Duplicates removed: ${duplicateCount + (uniqueHospitals.length - newHospitals.length)}`);
-    console.log(`   • New hospitals ingested: ${totalProcessed}`);
+    console.log(`   • Total rows read: ${counts.totalRows}`);
+    console.log(`   • Valid hospitals parsed: ${counts.parsed}`);
+    if (SYNC) {
+        console.log(`   • Duplicates removed: ${counts.duplicates + counts.nearDuplicates}`);
+        console.log(`   • Hospitals unchanged: ${counts.existing}`);
+        console.log(`   • Hospitals added: ${counts.new}`);
+        console.log(`   • Hospitals updated: ${counts.modified}`);
+        console.log(`   • Hospitals removed: ${counts.removed}`);
+    } else {
+        console.log(`   • Duplicates removed: ${counts.duplicates + counts.nearDuplicates + counts.existing}`);
+        console.log(`   • New hospitals ingested: ${counts.ingested}`);
+    }
+    if (counts.failed > 0) {
+        console.log(`   • Hospitals failed: ${counts.failed}`);
+    }
+    const cache = getEmbeddingCacheStats();
+    if (cache.enabled) {
+        console.log(`   • Embedding cache: ${cache.hits} hits, ${cache.misses} misses`);
+    }
     console.log(`   • Total processing time: ${totalTime} seconds`);
     console.log(`   • Processing rate: ~${processingRate} hospitals/minute`);
 
-    process.exit(0);
-})();
\ No newline at end of file
+    if (REBUILD && !failed) {
+        try {
+            failed = !(await promoteRebuild(collection, counts));
+        } catch (error) {
+            console.error("❌ Promotion failed:", error.message);
+            failed = true;
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+})();
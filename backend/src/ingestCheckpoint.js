@@ -0,0 +1,81 @@
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_CHECKPOINT_FILE = "./ingest-checkpoint.ndjson";
+
+function fileFingerprint(filePath) {
+    const stat = fs.statSync(filePath);
+    return { file: path.resolve(filePath), size: stat.size, mtime: stat.mtime.toISOString() };
+}
+
+function readJournal(checkpointPath) {
+    const entries = [];
+    const text = fs.readFileSync(checkpointPath, "utf8");
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // A crash can leave a half-written last line; everything before it is still valid
+            console.warn("⚠️  Ignoring truncated checkpoint line");
+        }
+    }
+    return entries;
+}
+
+/**
+ * Append-only journal of batch outcomes for one ingestion run. Each inserted
+ * batch records its hospital keys and each failed batch records its rows. A
+ * run started with `resume` only embeds what an earlier run didn't finish:
+ * the hospitals it inserted are found stored when their rows come round again.
+ * A resumed run writes to the collection recorded when the journal was started.
+ */
+export function openCheckpoint(checkpointPath, filePath, { mode = "ingest", collection = null, resume = false } = {}) {
+    const fingerprint = fileFingerprint(filePath);
+    let completed = 0;
+    let previousFailures = 0;
+
+    if (resume) {
+        if (!fs.existsSync(checkpointPath)) {
+            throw new Error(`No checkpoint found at ${checkpointPath} - run without --resume first`);
+        }
+        const [start, ...entries] = readJournal(checkpointPath);
+        if (!start || start.type !== "start" || start.file !== fingerprint.file ||
+            start.size !== fingerprint.size || start.mtime !== fingerprint.mtime) {
+            throw new Error(`Checkpoint ${checkpointPath} was written for a different or modified file`);
+        }
+        if (start.mode !== mode) {
+            throw new Error(`Checkpoint ${checkpointPath} belongs to a ${start.mode} run, not ${mode}`);
+        }
+        collection = start.collection;
+        for (const entry of entries) {
+            if (entry.type === "inserted") completed += entry.keys.length;
+            if (entry.type === "failed") previousFailures += entry.rows.length;
+        }
+        console.log(`♻️  Resuming from checkpoint: ${completed} hospitals already done, ${previousFailures} failed rows to retry`);
+        fs.appendFileSync(checkpointPath, JSON.stringify({ type: "resume", at: new Date().toISOString() }) + "\n");
+    } else {
+        fs.writeFileSync(checkpointPath, JSON.stringify({ type: "start", mode, collection, ...fingerprint, at: new Date().toISOString() }) + "\n");
+    }
+
+    const append = entry => fs.appendFileSync(checkpointPath, JSON.stringify({ ...entry, at: new Date().toISOString() }) + "\n");
+
+    return {
+        path: checkpointPath,
+        collection,
+        recordInserted(batchIndexes, keys) {
+            append({ type: "inserted", batches: batchIndexes, keys });
+        },
+        recordFailed(batchIndexes, rows, error) {
+            append({ type: "failed", batches: batchIndexes, rows, error });
+        },
+        // A clean finish leaves nothing to resume, so the journal is removed
+        finish({ failed }) {
+            if (failed === 0) {
+                fs.rmSync(checkpointPath, { force: true });
+            } else {
+                append({ type: "finish", failed });
+            }
+        }
+    };
+}
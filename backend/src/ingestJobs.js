@@ -0,0 +1,144 @@
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+import { runIngestion, runSync, createIngestStats } from "./ingestPipeline.js";
+import { invalidateGazetteer } from "./gazetteer.js";
+
+// Finished jobs, with their reports, can be polled for this long before they are forgotten
+const JOB_TTL_MS = (Number(process.env.INGEST_JOB_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+// Beyond this many finished jobs the oldest are forgotten early; queued and running jobs are always kept
+const MAX_FINISHED_JOBS = Number(process.env.INGEST_MAX_FINISHED_JOBS) || 100;
+
+const jobs = new Map();
+
+function isFinished(job) {
+    return job.status !== "queued" && job.status !== "running";
+}
+
+function evictFinishedJobs() {
+    const expiredBefore = new Date(Date.now() - JOB_TTL_MS).toISOString();
+    const finishedAt = job => job.stats.finishedAt || job.createdAt;
+    const finished = Array.from(jobs.values())
+        .filter(isFinished)
+        .sort((a, b) => finishedAt(a).localeCompare(finishedAt(b)));
+    finished.forEach((job, idx) => {
+        if (finishedAt(job) < expiredBefore || idx < finished.length - MAX_FINISHED_JOBS) jobs.delete(job.id);
+    });
+}
+
+function findJob(jobId) {
+    evictFinishedJobs();
+    return jobs.get(jobId);
+}
+
+function summarize(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        mode: job.mode,
+        source: job.source,
+        format: job.format,
+        plan: job.plan,
+        dryRun: job.dryRun,
+        filename: job.filename,
+        actor: job.actor,
+        collection: job.stats.collection,
+        createdAt: job.createdAt,
+        startedAt: job.stats.startedAt,
+        finishedAt: job.stats.finishedAt,
+        counts: job.stats.counts,
+        batches: {
+            total: job.stats.batches.length,
+            inserted: job.stats.batches.filter(b => b.status === "inserted").length,
+            failed: job.stats.batches.filter(b => b.status === "failed").length
+        },
+        errorCount: job.stats.errors.length,
+        failedRows: job.stats.failedRows.length,
+        error: job.error
+    };
+}
+
+// Start ingesting a file in the background and return the job immediately
+export function startIngestJob(filePath, { filename = null, collection, source = null, format = null, sheet = null, plan = null, mode = "ingest", dryRun = false, actor = null, removeFile = false } = {}) {
+    const job = {
+        id: uuidv4(),
+        status: "queued",
+        mode,
+        source,
+        format,
+        sheet,
+        plan,
+        dryRun: mode === "sync" && dryRun,
+        filename: filename || filePath,
+        actor,
+        createdAt: new Date().toISOString(),
+        stats: createIngestStats(),
+        error: null
+    };
+    evictFinishedJobs();
+    jobs.set(job.id, job);
+
+    setImmediate(async () => {
+        job.status = "running";
+        try {
+            if (mode === "sync") {
+                await runSync(filePath, { collection, source, format, sheet, plan, dryRun: job.dryRun, actor, reference: job.filename, stats: job.stats });
+            } else {
+                await runIngestion(filePath, { collection, source, format, sheet, plan, actor, reference: job.filename, stats: job.stats });
+            }
+            job.status = job.stats.counts.failed > 0 ? "completed_with_errors" : "completed";
+            // New addresses may bring new localities
+            if (!job.dryRun) invalidateGazetteer();
+        } catch (error) {
+            console.error(`❌ Ingest job ${job.id} failed:`, error);
+            job.status = "failed";
+            job.error = error.message;
+            job.stats.finishedAt = new Date().toISOString();
+        } finally {
+            if (removeFile) {
+                fs.promises.unlink(filePath).catch(() => { });
+            }
+        }
+    });
+
+    return summarize(job);
+}
+
+export function getIngestJob(jobId) {
+    const job = findJob(jobId);
+    return job ? summarize(job) : null;
+}
+
+export function getIngestJobBatches(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.batches : null;
+}
+
+export function getIngestJobErrors(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.errors : null;
+}
+
+export function getIngestJobFailedRows(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.failedRows : null;
+}
+
+export function getIngestJobReport(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.report : undefined;
+}
+
+export function getIngestJobValidation(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.validation : undefined;
+}
+
+export function getIngestJobDuplicates(jobId) {
+    const job = findJob(jobId);
+    return job ? job.stats.duplicateReport : undefined;
+}
+
+export function listIngestJobs() {
+    evictFinishedJobs();
+    return Array.from(jobs.values()).map(summarize);
+}
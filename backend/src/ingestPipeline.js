@@ -0,0 +1,907 @@
+import { v5 as uuidv5 } from "uuid";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+dotenv.config();
+
+import { embedTexts } from "./genaiClient.js";
+import { getEmbeddingDimension } from "./embeddingProviders.js";
+import { iterateRows, detectFormat } from "./sourceReaders.js";
+import { detectColumnMapping, positionalMapping, mapRow } from "./csvSchema.js";
+import { normalizeHospital, cleanName, canonicalizeCity } from "./normalize.js";
+import { createDuplicateDetector } from "./duplicateDetector.js";
+import { openScratch } from "./ingestScratch.js";
+import { ensureCollection, upsertPointsFast, scrollPages, findByUniqueKeys, countMatches, deletePoints, setPayload, hasSparseVectors } from "./qdrantClient.js";
+import { SPARSE_FIELDS, sparseDocumentVector } from "./sparseVectors.js";
+import { HOSPITALS_COLLECTION, resolveCollection } from "./collections.js";
+import { getGeocoder } from "./geocoders.js";
+import { recordAuditEvents } from "./auditLog.js";
+import { todayIso, dayBefore, networkStatus, reopenNetworkPeriod, withNetworkDate } from "./networkDates.js";
+import { normalizePlanId, mergePlanIds, inPlan } from "./networkPlans.js";
+
+// Dynamic batch sizing based on API limits
+const EMBEDDING_BATCH_SIZE = 100;
+const DB_BATCH_SIZE = 500;
+const MAX_CONCURRENT_EMBEDDINGS = 2;
+// Streamed rows are looked up in the collection this many at a time
+const EXISTENCE_BATCH_SIZE = 500;
+// A sync report lists at most this many added, modified and removed hospitals each; the counts are exact
+const SYNC_REPORT_LIMIT = 1000;
+
+export function parseHospitalRow(row, mapping = positionalMapping()) {
+    const { hospital, missing } = mapRow(row, mapping);
+    if (!hospital) {
+        console.warn(`Missing ${missing.join(", ")} in row:`, row);
+        return null;
+    }
+    return hospital;
+}
+
+// Optional fields copied from the parsed row into the Qdrant payload
+const EXTRA_PAYLOAD_FIELDS = ["state", "pincode", "phone", "specialities", "tier", "cashless", "effective_from", "effective_to", "network_periods", "plans", "extra"];
+// Values as they appeared in the file, before normalization
+const RAW_PAYLOAD_FIELDS = ["raw_address", "raw_city"];
+
+export function createHospitalKey(hospital) {
+    return `${hospital.name.toLowerCase().trim()}|${hospital.city.toLowerCase().trim()}|${hospital.address.toLowerCase().trim()}`;
+}
+
+// Fixed namespace so the same hospital always maps to the same point id
+const HOSPITAL_ID_NAMESPACE = "5b0c2f6e-8a4d-4f1e-9c3b-7d2a1e6f4b90";
+
+// Stable point id derived from the hospital key; re-ingesting overwrites instead of duplicating
+export function createHospitalId(hospital) {
+    return uuidv5(createHospitalKey(hospital), HOSPITAL_ID_NAMESPACE);
+}
+
+// Fresh progress/summary object; jobs and the CLI both read from this shape
+export function createIngestStats() {
+    return {
+        counts: {
+            totalRows: 0,
+            parsed: 0,
+            skipped: 0,
+            duplicates: 0,
+            nearDuplicates: 0,
+            existing: 0,
+            new: 0,
+            modified: 0,
+            removed: 0,
+            planAdded: 0,
+            relisted: 0,
+            ingested: 0,
+            failed: 0
+        },
+        batches: [],
+        errors: [],
+        failedRows: [],
+        collection: null,
+        report: null,
+        validation: null,
+        duplicateReport: null,
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+function recordError(stats, stage, message, extra = {}) {
+    stats.errors.push({ stage, message, ...extra, at: new Date().toISOString() });
+}
+
+// Just the identifying fields, for reports that may list many hospitals
+function summarizeHospital(hospital) {
+    return { name: hospital.name, address: hospital.address, city: hospital.city };
+}
+
+// Audit the hospitals a run wrote or deleted; a failure is reported without undoing the writes
+function auditChanges(stats, events, audit) {
+    if (!audit) return;
+    try {
+        recordAuditEvents(events, { ...audit, collection: stats.collection });
+    } catch (error) {
+        console.error("❌ Failed to record audit events:", error.message);
+        recordError(stats, "audit", error.message, { events: events.length });
+    }
+}
+
+// Rows that didn't make it into the collection, listed so they can be retried or fixed
+function recordFailedRows(stats, rows) {
+    stats.counts.failed += rows.length;
+    stats.failedRows.push(...rows);
+}
+
+function buildPayload(hospital, location = null) {
+    const payload = {
+        name: hospital.name,
+        address: hospital.address,
+        city: hospital.city,
+        city_exact: hospital.city,
+        unique_key: createHospitalKey(hospital)
+    };
+    for (const field of [...EXTRA_PAYLOAD_FIELDS, ...RAW_PAYLOAD_FIELDS]) {
+        if (hospital[field] !== undefined) payload[field] = hospital[field];
+    }
+    // Qdrant geo point for radius filters; precision says whether it is a PIN code, locality or city centroid
+    if (location) {
+        payload.location = { lat: location.lat, lon: location.lon };
+        payload.geo_precision = location.precision;
+    }
+    return payload;
+}
+
+// A geocoder failure leaves the hospital without a location rather than failing its batch
+async function geocodeHospital(hospital) {
+    try {
+        return await getGeocoder().geocode(hospital);
+    } catch (error) {
+        console.warn(`⚠️  Geocoding failed for ${hospital.name}:`, error.message);
+        return null;
+    }
+}
+
+// Dense embedding under the default vector name, plus keyword vectors when the collection has them
+function buildVector(hospital, dense, withSparse) {
+    if (!withSparse) return dense;
+    const vector = { "": dense };
+    for (const field of SPARSE_FIELDS) {
+        const sparse = sparseDocumentVector(hospital[field], field);
+        if (sparse) vector[field] = sparse;
+    }
+    return vector;
+}
+
+async function processEmbeddingBatch(batch, batchIndex, withSparse = false) {
+    const texts = batch.map(hospital =>
+        `${hospital.name} | ${hospital.address} | ${hospital.city}`
+    );
+
+    console.log(`🔄 Embedding batch ${batchIndex + 1} (${batch.length} hospitals)...`);
+
+    let vectors;
+    let retries = 0;
+    const maxRetries = 3;
+
+    while (retries < maxRetries) {
+        try {
+            vectors = await embedTexts(texts);
+            break;
+        } catch (error) {
+            retries++;
+            if (retries === maxRetries) {
+                console.error(`❌ Failed to embed batch ${batchIndex + 1} after ${maxRetries} retries:`, error.message);
+                throw error;
+            }
+
+            const delay = Math.min(1000 * Math.pow(2, retries), 5000); // Exponential backoff, max 5s
+            console.log(`⚠️  Embedding failed, retry ${retries}/${maxRetries} for batch ${batchIndex + 1} (waiting ${delay}ms)`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    const locations = await Promise.all(batch.map(geocodeHospital));
+
+    const points = batch.map((hospital, idx) => ({
+        id: hospital.id || createHospitalId(hospital),
+        vector: buildVector(hospital, vectors[idx], withSparse),
+        payload: buildPayload(hospital, locations[idx])
+    }));
+
+    return points;
+}
+
+/**
+ * Embed, geocode and build the point for a single hospital outside a file run
+ * (the admin API). A set `hospital.id` is kept, as for sync updates.
+ */
+export async function buildHospitalPoint(collection, hospital) {
+    const [point] = await processEmbeddingBatch([hospital], 0, await hasSparseVectors(collection));
+    return point;
+}
+
+async function processDatabaseBatch(collection, points, batchIndex) {
+    console.log(`💾 Inserting batch ${batchIndex + 1} (${points.length} points)...`);
+
+    let retries = 0;
+    const maxRetries = 3;
+
+    while (retries < maxRetries) {
+        try {
+            await upsertPointsFast(collection, points);
+            return points.length;
+        } catch (error) {
+            retries++;
+            if (retries === maxRetries) {
+                console.error(`❌ Failed to insert batch ${batchIndex + 1} after ${maxRetries} retries:`, error.message);
+                throw error;
+            }
+
+            const delay = 1000 * retries;
+            console.log(`⚠️  Database insert failed, retry ${retries}/${maxRetries} for batch ${batchIndex + 1} (waiting ${delay}ms)`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Stream a network file as unique, normalized hospitals. Header mapping,
+ * validation and exact/near de-duplication happen row by row, so rows are
+ * not buffered; the keys and summaries de-duplication compares against are
+ * kept in the run's `scratch` file (see ingestScratch.js).
+ */
+async function* streamHospitals(filePath, stats, { source = null, format = null, sheet = null, scratch }) {
+    const { counts } = stats;
+
+    const fileFormat = detectFormat(filePath, format);
+    console.log(`Reading ${fileFormat.toUpperCase()}:`, filePath);
+
+    scratch.db.exec("CREATE TABLE IF NOT EXISTS seen_keys (key TEXT PRIMARY KEY) WITHOUT ROWID");
+    const markSeen = scratch.db.prepare("INSERT OR IGNORE INTO seen_keys (key) VALUES (?)");
+    const detector = createDuplicateDetector({ db: scratch.db });
+    let mapping = null;
+    let validation = null;
+    let lineNumber = 0;
+
+    for await (const row of iterateRows(filePath, { format: fileFormat, sheet })) {
+        lineNumber++;
+
+        // Map columns from the header row, falling back to name/address/city positions
+        if (!mapping) {
+            mapping = detectColumnMapping(row, source);
+            let skipFirstRow = !!mapping;
+            if (mapping) {
+                console.log(`📋 Detected header columns: ${Object.entries(mapping.columns).map(([field, idx]) => `${field}=${row[idx]}`).join(", ")}`);
+                if (Object.keys(mapping.extras).length > 0) {
+                    console.log(`📋 Extra columns kept in payload: ${Object.keys(mapping.extras).join(", ")}`);
+                }
+            } else {
+                mapping = positionalMapping(source);
+                if (row.some(cell =>
+                    cell?.toLowerCase().includes('hospital') ||
+                    cell?.toLowerCase().includes('name') ||
+                    cell?.toLowerCase().includes('address'))) {
+                    skipFirstRow = true;
+                    console.warn("⚠️  Unrecognised header row, skipping it and using name/address/city column order");
+                }
+            }
+
+            validation = {
+                source,
+                format: fileFormat,
+                headerDetected: mapping.headers !== null,
+                columns: Object.fromEntries(Object.entries(mapping.columns).map(([field, idx]) => [field, mapping.headers ? mapping.headers[idx] : idx])),
+                extraColumns: Object.keys(mapping.extras),
+                missingRequired: []
+            };
+            stats.validation = validation;
+
+            if (skipFirstRow) continue;
+        }
+
+        counts.totalRows++;
+        const { hospital: parsed, missing } = mapRow(row, mapping);
+        if (!parsed) {
+            counts.skipped++;
+            validation.missingRequired.push({ row: lineNumber, missing, values: row });
+            recordError(stats, "parse", `Missing required field(s): ${missing.join(", ")}`, { row: lineNumber });
+            continue;
+        }
+        counts.parsed++;
+
+        const hospital = normalizeHospital(parsed);
+        const key = createHospitalKey(hospital);
+        if (markSeen.run(key).changes === 0) {
+            counts.duplicates++;
+            continue;
+        }
+
+        // Fuzzy pass for rows that differ only in punctuation, spacing or small typos
+        if (detector.check(hospital)) {
+            counts.nearDuplicates++;
+            continue;
+        }
+
+        yield hospital;
+    }
+
+    stats.duplicateReport = detector.report();
+
+    if (validation?.missingRequired.length > 0) {
+        console.warn(`⚠️  ${validation.missingRequired.length} row(s) missing required fields`);
+    }
+    console.log(`📄 Total rows read: ${counts.totalRows}, valid: ${counts.parsed}`);
+    console.log(`🔍 Duplicates removed: ${counts.duplicates} exact, ${counts.nearDuplicates} near; pairs flagged for review: ${stats.duplicateReport.totals.review}`);
+}
+
+/**
+ * Bounded embed → upsert stage. `add` resolves once the hospital is buffered;
+ * when MAX_CONCURRENT_EMBEDDINGS batches are full it waits for them to be
+ * embedded (and flushed to Qdrant every DB_BATCH_SIZE points), which holds
+ * back the file reader feeding it. Pass the stored payload as `before` when
+ * the hospital replaces an existing point, so the audit event records both.
+ */
+function createBatchWriter(collection, stats, { checkpoint = null, withSparse = false, audit = null } = {}) {
+    const { counts } = stats;
+    const replacedPayloads = new Map();
+
+    let currentBatch = [];
+    let readyBatches = [];
+    let allPoints = [];
+    let pendingBatches = [];
+    let totalProcessed = 0;
+    let dbBatchIndex = 0;
+
+    const flush = async () => {
+        if (allPoints.length === 0) return;
+        const batchIndexes = pendingBatches.map(b => b.index);
+        try {
+            counts.ingested += await processDatabaseBatch(collection, allPoints, dbBatchIndex++);
+            pendingBatches.forEach(b => { b.status = "inserted"; });
+            checkpoint?.recordInserted(batchIndexes, allPoints.map(p => p.payload.unique_key));
+            auditChanges(stats, allPoints.map(point => {
+                const before = replacedPayloads.get(point.id) || null;
+                return { hospitalId: point.id, action: before ? "updated" : "created", before, after: point.payload };
+            }), audit);
+        } catch (error) {
+            const rows = allPoints.map(p => summarizeHospital(p.payload));
+            recordFailedRows(stats, rows);
+            pendingBatches.forEach(b => { b.status = "failed"; b.error = error.message; });
+            recordError(stats, "database", error.message, { batches: batchIndexes });
+            checkpoint?.recordFailed(batchIndexes, rows, error.message);
+        }
+        allPoints.forEach(point => replacedPayloads.delete(point.id));
+        allPoints = [];
+        pendingBatches = [];
+    };
+
+    const embedReadyBatches = async () => {
+        const currentBatches = readyBatches;
+        readyBatches = [];
+        if (currentBatches.length === 0) return;
+
+        const currentStats = currentBatches.map(batch => {
+            const batchStat = { index: stats.batches.length, size: batch.length, status: "embedding", error: null };
+            stats.batches.push(batchStat);
+            return batchStat;
+        });
+
+        const promises = currentBatches.map((batch, idx) =>
+            processEmbeddingBatch(batch, currentStats[idx].index, withSparse)
+        );
+
+        try {
+            const batchResults = await Promise.all(promises);
+
+            for (const points of batchResults) {
+                allPoints.push(...points);
+                totalProcessed += points.length;
+            }
+            currentStats.forEach(b => { b.status = "embedded"; });
+            pendingBatches.push(...currentStats);
+
+            console.log(`✅ Embedding progress: ${totalProcessed} hospitals`);
+
+            if (allPoints.length >= DB_BATCH_SIZE) {
+                await flush();
+            }
+
+        } catch (error) {
+            console.error(`❌ Error in embedding batch group starting at ${currentStats[0].index + 1}:`, error);
+            const batchIndexes = currentStats.map(b => b.index);
+            const rows = currentBatches.flat().map(summarizeHospital);
+            currentStats.forEach(b => { b.status = "failed"; b.error = error.message; });
+            recordFailedRows(stats, rows);
+            recordError(stats, "embedding", error.message, { batches: batchIndexes });
+            checkpoint?.recordFailed(batchIndexes, rows, error.message);
+        }
+    };
+
+    return {
+        async add(hospital, before = null) {
+            if (before) replacedPayloads.set(hospital.id, before);
+            currentBatch.push(hospital);
+            if (currentBatch.length >= EMBEDDING_BATCH_SIZE) {
+                readyBatches.push(currentBatch);
+                currentBatch = [];
+            }
+            if (readyBatches.length >= MAX_CONCURRENT_EMBEDDINGS) {
+                await embedReadyBatches();
+            }
+        },
+        async finish() {
+            if (currentBatch.length > 0) {
+                readyBatches.push(currentBatch);
+                currentBatch = [];
+            }
+            await embedReadyBatches();
+            await flush();
+        }
+    };
+}
+
+// A hospital from a plan's file is on that plan, plus any plans its own row lists
+function withFilePlan(hospital, plan) {
+    return plan ? { ...hospital, plans: mergePlanIds(hospital.plans, [plan]) } : hospital;
+}
+
+/**
+ * Set new plan lists on stored hospitals. `changes` are { point, plans };
+ * hospitals ending up with the same list are updated in one request.
+ */
+async function updateStoredPlans(collection, stats, changes, audit) {
+    const groups = new Map();
+    for (const change of changes) {
+        const key = JSON.stringify(change.plans);
+        if (!groups.has(key)) groups.set(key, { plans: change.plans, points: [] });
+        groups.get(key).points.push(change.point);
+    }
+
+    let updated = 0;
+    for (const { plans, points } of groups.values()) {
+        try {
+            await setPayload(collection, points.map(p => p.id), { plans });
+            auditChanges(stats, points.map(p => ({ hospitalId: p.id, action: "updated", before: p.payload, after: { ...p.payload, plans } })), audit);
+            updated += points.length;
+        } catch (error) {
+            console.error("❌ Failed to update hospital plans:", error.message);
+            recordFailedRows(stats, points.map(p => summarizeHospital(p.payload)));
+            recordError(stats, "database", error.message, { plans, hospitals: points.length });
+        }
+    }
+    return updated;
+}
+
+// Hospitals stored before ingest-time normalization have no raw_address, and a unique_key built from the values as received
+function isLegacyKeyed(payload) {
+    return payload.raw_address === undefined;
+}
+
+/**
+ * A plain ingest looks rows up by their normalized unique_key, so hospitals
+ * still in network under a key from before normalization would be added a
+ * second time. Refuse until a sync (which pairs them by name and city and
+ * rewrites them in place) or a rebuild has migrated them.
+ */
+async function assertNoLegacyKeys(collection, today) {
+    const legacy = await countMatches(collection, withNetworkDate({ must: [{ is_empty: { key: "raw_address" } }] }, today));
+    if (legacy > 0) {
+        throw new Error(`${legacy} hospitals in ${collection} were stored before city/address normalization and a plain ingest would add them again under new keys - migrate them first with a sync (npm run sync -- <file>) or a rebuild (npm run ingest -- <file> --rebuild)`);
+    }
+}
+
+async function sparseSupport(collection) {
+    const supported = await hasSparseVectors(collection);
+    if (!supported) {
+        console.warn(`⚠️  ${collection} has no sparse vectors - keyword retrieval needs a rebuild (npm run ingest -- <file> --rebuild)`);
+    }
+    return supported;
+}
+
+/**
+ * Parse, dedupe, embed and upsert every hospital in a network file (CSV, XLSX, JSON or NDJSON).
+ * Rows stream through without being buffered and are checked against the
+ * collection EXISTENCE_BATCH_SIZE at a time, by unique_key; progress is
+ * written into `stats` as it happens so callers can poll it. With a
+ * `checkpoint` (see ingestCheckpoint.js) batch outcomes are journaled, and
+ * hospitals a resumed run already inserted are found stored and skipped.
+ * Each inserted hospital is recorded in the audit log under `actor` and
+ * `reference` (the file name by default).
+ *
+ * With a `plan`, the file is that plan's hospital list: new hospitals are
+ * stored on it, and listed hospitals that are already stored are added to it.
+ * A listed hospital that has left the network rejoins it today, as in a sync.
+ */
+export async function runIngestion(filePath, { collection: target = HOSPITALS_COLLECTION, source = null, format = null, sheet = null, plan = null, checkpoint = null, actor = null, reference = filePath, stats = createIngestStats() } = {}) {
+    const { counts } = stats;
+    stats.startedAt = new Date().toISOString();
+
+    // Writes go to the collection behind the alias; payload indexes can't be created through an alias
+    const collection = await resolveCollection(target);
+    stats.collection = collection;
+    console.log("Ensuring collection...");
+    await ensureCollection(collection, await getEmbeddingDimension());
+    console.log(`💾 Found ${await countMatches(collection)} existing records in database`);
+
+    const planId = normalizePlanId(plan);
+    const today = todayIso();
+    await assertNoLegacyKeys(collection, today);
+
+    console.log(`🔄 Processing embeddings in batches of ${EMBEDDING_BATCH_SIZE}...`);
+    const audit = { origin: "ingest", actor, reference };
+    const writer = createBatchWriter(collection, stats, { checkpoint, withSparse: await sparseSupport(collection), audit });
+    let pending = [];
+
+    // Look the waiting rows up in one scroll; only a row's stored copy decides what happens to it
+    const checkPending = async () => {
+        const batch = pending;
+        pending = [];
+        if (batch.length === 0) return;
+
+        const storedByKey = new Map();
+        for (const point of await findByUniqueKeys(collection, batch.map(createHospitalKey))) {
+            if (!storedByKey.has(point.payload.unique_key)) storedByKey.set(point.payload.unique_key, point);
+        }
+
+        const joiningPlan = [];
+        for (const hospital of batch) {
+            const stored = storedByKey.get(createHospitalKey(hospital));
+            if (stored && networkStatus(stored.payload, today).reason === "ended") {
+                counts.relisted++;
+                await writer.add({ ...mergeStored(hospital, stored.payload, today, planId), id: stored.id }, stored.payload);
+            } else if (stored) {
+                counts.existing++;
+                if (planId && !inPlan(stored.payload, planId)) {
+                    joiningPlan.push({ point: stored, plans: mergePlanIds(stored.payload.plans, [planId]) });
+                }
+            } else {
+                counts.new++;
+                await writer.add(withFilePlan(hospital, planId));
+            }
+        }
+        if (joiningPlan.length > 0) {
+            counts.planAdded += await updateStoredPlans(collection, stats, joiningPlan, audit);
+        }
+    };
+
+    const scratch = openScratch("ingest");
+    try {
+        for await (const hospital of streamHospitals(filePath, stats, { source, format, sheet, scratch })) {
+            pending.push(hospital);
+            if (pending.length >= EXISTENCE_BATCH_SIZE) await checkPending();
+        }
+        await checkPending();
+        await writer.finish();
+    } finally {
+        scratch.close();
+    }
+
+    console.log(`➕ New hospitals: ${counts.new} (${counts.existing} already in database)`);
+    if (counts.relisted > 0) console.log(`↩️  Relisted ${counts.relisted} hospitals that had left the network`);
+    if (counts.planAdded > 0) console.log(`🏷️  Added ${counts.planAdded} existing hospitals to plan ${planId}`);
+
+    checkpoint?.finish(counts);
+    stats.finishedAt = new Date().toISOString();
+    return stats;
+}
+
+// Name + city identity, used to pair a stored hospital with its edited row
+function createIdentityKey(hospital) {
+    return `${hospital.name.toLowerCase().trim()}|${hospital.city.toLowerCase().trim()}`;
+}
+
+/**
+ * Network dates and plans for a listed hospital that is already stored.
+ * Dates the row leaves out are kept from the stored hospital, and a plan
+ * file adds its plan to the stored ones; a hospital stored without plans is
+ * on every plan already and stays that way. A hospital that had left the
+ * network and is listed again rejoins on `today` (unless the row says
+ * otherwise), on the plans it is listed for now; the period it left is
+ * kept in `network_periods`.
+ */
+function mergeStored(hospital, payload, today, plan) {
+    const listed = withFilePlan(hospital, plan);
+    if (networkStatus(payload, today).reason === "ended" && !hospital.effective_to) {
+        // A file's start date from before the hospital left is its old empanelment date, not the rejoin
+        const rejoined = hospital.effective_from > payload.effective_to ? hospital.effective_from : today;
+        return { ...listed, plans: listed.plans || payload.plans, ...reopenNetworkPeriod(payload, rejoined) };
+    }
+    const storedPlans = payload.plans?.length ? mergePlanIds(payload.plans, listed.plans) : payload.plans;
+    return {
+        ...listed,
+        plans: plan ? storedPlans : listed.plans || payload.plans,
+        effective_from: hospital.effective_from || payload.effective_from,
+        effective_to: hospital.effective_to || payload.effective_to,
+        network_periods: payload.network_periods
+    };
+}
+
+function extraFieldsChanged(hospital, payload) {
+    return EXTRA_PAYLOAD_FIELDS.some(field =>
+        JSON.stringify(hospital[field] ?? null) !== JSON.stringify(payload[field] ?? null)
+    );
+}
+
+// Rows read from the sync tables per query, so walking them never holds the whole collection
+const SYNC_PAGE_SIZE = 500;
+
+/**
+ * Incremental diff of incoming hospitals against the collection. Exact
+ * `unique_key` matches are unchanged unless their extra columns, network
+ * dates or plans differ, or they were stored before normalization (their
+ * payload is rewritten then); leftovers that share a name and city one-to-one are
+ * treated as modified, everything else is added or removed. Hospitals that
+ * already left the network are only matched exactly (and then rejoin), never
+ * removed again. With a `plan`, only hospitals on that plan can be paired or
+ * removed.
+ *
+ * The stored hospitals are indexed into `db` (the run's scratch file) with
+ * `addStored`, a page of points at a time; points repeating a `unique_key`
+ * are set aside as `redundant`. `check` then classifies a hospital as soon as
+ * that is certain and returns it as { type: "added" | "modified" | "unchanged" },
+ * or null when it must wait for `finish` because it may pair with a stored
+ * hospital whose address changed. `finish`, `removed` and `redundant` are
+ * generators: the first yields the results held back, the other two yield
+ * pages of stored hospitals as { id, ...payload }.
+ */
+export function createSyncDiff(db, today = todayIso(), plan = null) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_stored (
+            id TEXT NOT NULL,
+            unique_key TEXT NOT NULL UNIQUE,
+            identity TEXT NOT NULL,
+            current INTEGER NOT NULL,
+            matched INTEGER NOT NULL DEFAULT 0,
+            payload TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS sync_stored_identity ON sync_stored (identity, current, matched);
+        CREATE TABLE IF NOT EXISTS sync_redundant (id TEXT NOT NULL, payload TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS sync_deferred (identity TEXT NOT NULL, hospital TEXT NOT NULL);
+        CREATE INDEX IF NOT EXISTS sync_deferred_identity ON sync_deferred (identity);
+    `);
+
+    // Ids are stored as JSON so numeric and UUID point ids come back as they went in
+    const toPoint = row => ({ id: JSON.parse(row.id), payload: JSON.parse(row.payload) });
+    const isCurrent = payload => networkStatus(payload, today).reason !== "ended" && inPlan(payload, plan);
+
+    const insertStored = db.prepare("INSERT OR IGNORE INTO sync_stored (id, unique_key, identity, current, payload) VALUES (?, ?, ?, ?, ?)");
+    const insertRedundant = db.prepare("INSERT INTO sync_redundant (id, payload) VALUES (?, ?)");
+    const storedByKey = db.prepare("SELECT rowid, id, payload FROM sync_stored WHERE unique_key = ?");
+    const currentWithIdentity = db.prepare("SELECT 1 FROM sync_stored WHERE identity = ? AND current = 1 LIMIT 1");
+    const unmatchedWithIdentity = db.prepare("SELECT rowid, id, payload FROM sync_stored WHERE identity = ? AND current = 1 AND matched = 0 LIMIT 2");
+    const markMatched = db.prepare("UPDATE sync_stored SET matched = 1 WHERE rowid = ?");
+    const insertDeferred = db.prepare("INSERT INTO sync_deferred (identity, hospital) VALUES (?, ?)");
+
+    // Points sharing a unique_key are leftovers from earlier runs; keep the first, drop the rest
+    const addStored = db.transaction(points => {
+        for (const point of points) {
+            const { payload } = point;
+            const id = JSON.stringify(point.id);
+            // Normalized like incoming rows, so hospitals stored before normalization still pair up
+            const identity = createIdentityKey({ name: cleanName(payload.name), city: canonicalizeCity(payload.city) });
+            const added = insertStored.run(id, payload.unique_key ?? "", identity, isCurrent(payload) ? 1 : 0, JSON.stringify(payload));
+            if (added.changes === 0) insertRedundant.run(id, JSON.stringify(payload));
+        }
+    });
+
+    function check(hospital) {
+        const row = storedByKey.get(createHospitalKey(hospital));
+        if (row) {
+            markMatched.run(row.rowid);
+            const existing = toPoint(row);
+            const after = mergeStored(hospital, existing.payload, today, plan);
+            if (extraFieldsChanged(after, existing.payload) || isLegacyKeyed(existing.payload)) {
+                return { type: "modified", id: existing.id, before: existing.payload, after };
+            }
+            return { type: "unchanged" };
+        }
+
+        const identity = createIdentityKey(hospital);
+        if (!currentWithIdentity.get(identity)) {
+            return { type: "added", hospital: withFilePlan(hospital, plan) };
+        }
+        insertDeferred.run(identity, JSON.stringify(hospital));
+        return null;
+    }
+
+    function* finish() {
+        // In file order, by each identity's first deferred row
+        const identities = db.prepare("SELECT identity, MIN(rowid) AS first FROM sync_deferred GROUP BY identity HAVING first > ? ORDER BY first LIMIT ?");
+        const deferredRows = db.prepare("SELECT hospital FROM sync_deferred WHERE identity = ? ORDER BY rowid");
+        let last = 0;
+        let page;
+        do {
+            page = identities.all(last, SYNC_PAGE_SIZE);
+            for (const { identity } of page) {
+                const hospitals = deferredRows.all(identity).map(row => JSON.parse(row.hospital));
+                const candidates = unmatchedWithIdentity.all(identity);
+                if (hospitals.length === 1 && candidates.length === 1) {
+                    markMatched.run(candidates[0].rowid);
+                    const before = toPoint(candidates[0]);
+                    yield { type: "modified", id: before.id, before: before.payload, after: mergeStored(hospitals[0], before.payload, today, plan) };
+                } else {
+                    for (const hospital of hospitals) yield { type: "added", hospital: withFilePlan(hospital, plan) };
+                }
+            }
+            last = page.at(-1)?.first;
+        } while (page.length === SYNC_PAGE_SIZE);
+    }
+
+    function* pages(sql) {
+        const statement = db.prepare(sql);
+        let last = 0;
+        let page;
+        do {
+            page = statement.all(last, SYNC_PAGE_SIZE);
+            if (page.length > 0) yield page;
+            last = page.at(-1)?.rowid;
+        } while (page.length === SYNC_PAGE_SIZE);
+    }
+
+    // A hospital without plans is on every plan, and one plan's list can't take it off the others
+    function* removed() {
+        for (const page of pages("SELECT rowid, id, payload FROM sync_stored WHERE current = 1 AND matched = 0 AND rowid > ? ORDER BY rowid LIMIT ?")) {
+            const points = page.map(toPoint).filter(p => !plan || p.payload.plans?.length);
+            if (points.length > 0) yield points.map(p => ({ id: p.id, ...p.payload }));
+        }
+    }
+
+    function* redundant() {
+        for (const page of pages("SELECT rowid, id, payload FROM sync_redundant WHERE rowid > ? ORDER BY rowid LIMIT ?")) {
+            yield page.map(toPoint).map(p => ({ id: p.id, ...p.payload }));
+        }
+    }
+
+    return { addStored, check, finish, removed, redundant };
+}
+
+// Whole-list convenience wrapper around createSyncDiff, diffing in memory
+export function diffHospitals(incoming, existingPoints) {
+    const db = new Database(":memory:");
+    const diff = createSyncDiff(db);
+    diff.addStored(existingPoints);
+    const added = [];
+    const modified = [];
+    let unchanged = 0;
+
+    for (const result of [...incoming.map(hospital => diff.check(hospital)), ...diff.finish()]) {
+        if (!result) continue;
+        if (result.type === "added") added.push(result.hospital);
+        else if (result.type === "modified") modified.push(result);
+        else unchanged++;
+    }
+
+    const changes = {
+        added,
+        modified: modified.map(({ type, ...change }) => change),
+        removed: [...diff.removed()].flat(),
+        redundant: [...diff.redundant()].flat(),
+        unchanged
+    };
+    db.close();
+    return changes;
+}
+
+/**
+ * Take stored hospitals that a sync no longer finds listed off the network,
+ * or only off the sync's plan when they are on another one too. Returns how
+ * many left the plan only.
+ */
+async function removeUnlisted(collection, stats, hospitals, { planId, today, audit }) {
+    // Dropping off one plan's list only leaves the network when the hospital is on no other plan
+    const leavingPlan = [];
+    const delisted = [];
+    for (const { id, ...payload } of hospitals) {
+        const remaining = (payload.plans || []).filter(p => p !== planId);
+        if (planId && remaining.length > 0) leavingPlan.push({ point: { id, payload }, plans: remaining });
+        else delisted.push({ id, ...payload });
+    }
+    const leftPlan = leavingPlan.length > 0 ? await updateStoredPlans(collection, stats, leavingPlan, audit) : 0;
+
+    if (delisted.length > 0) {
+        const effectiveTo = dayBefore(today);
+        try {
+            await setPayload(collection, delisted.map(r => r.id), { effective_to: effectiveTo });
+            auditChanges(stats, delisted.map(({ id, ...payload }) => ({
+                hospitalId: id,
+                action: "delisted",
+                before: payload,
+                after: { ...payload, effective_to: effectiveTo }
+            })), audit);
+        } catch (error) {
+            console.error("❌ Failed to delist removed hospitals:", error.message);
+            recordFailedRows(stats, delisted.map(summarizeHospital));
+            recordError(stats, "database", error.message, { removed: delisted.length });
+        }
+    }
+    return leftPlan;
+}
+
+/**
+ * Make the collection mirror the file: insert new hospitals, update changed
+ * ones in place and delist hospitals that are no longer listed, recording
+ * each change in the audit log. New hospitals join the network on the day of
+ * the sync and delisted ones leave it the day before, unless the file gives
+ * their dates; delisted hospitals stay stored so past dates can still be
+ * checked. With a `plan` the file is that plan's list: only hospitals on the
+ * plan are compared against it, and one that drops off the list leaves the
+ * plan, and the network only if it is on no other plan. With `dryRun` only
+ * the diff report is produced.
+ *
+ * The stored hospitals are diffed from the run's scratch file rather than
+ * memory, and the report lists the first SYNC_REPORT_LIMIT hospitals of each
+ * kind (`truncated` says when there were more); `stats.counts` has the totals.
+ */
+export async function runSync(filePath, { collection: target = HOSPITALS_COLLECTION, source = null, format = null, sheet = null, plan = null, dryRun = false, checkpoint = null, actor = null, reference = filePath, stats = createIngestStats() } = {}) {
+    const { counts } = stats;
+    stats.startedAt = new Date().toISOString();
+
+    const collection = await resolveCollection(target);
+    stats.collection = collection;
+    if (!dryRun) {
+        console.log("Ensuring collection...");
+        await ensureCollection(collection, await getEmbeddingDimension());
+    }
+
+    const today = todayIso();
+    const planId = normalizePlanId(plan);
+    const report = { dryRun, added: [], removed: [], modified: [], redundant: [], unchanged: 0, truncated: false };
+    stats.report = report;
+    const list = (entries, entry) => {
+        if (entries.length < SYNC_REPORT_LIMIT) entries.push(entry);
+        else report.truncated = true;
+    };
+
+    const scratch = openScratch("sync");
+    try {
+        const diff = createSyncDiff(scratch.db, today, planId);
+        console.log("🔍 Loading existing records from database...");
+        let storedCount = 0;
+        for await (const points of scrollPages(collection)) {
+            diff.addStored(points);
+            storedCount += points.length;
+        }
+        console.log(`💾 Found ${storedCount} existing records in database`);
+
+        // A resumed sync needs no skip list: rows an earlier run wrote now diff as unchanged
+        const audit = { origin: "sync", actor, reference };
+        const writer = dryRun ? null : createBatchWriter(collection, stats, { checkpoint, withSparse: await sparseSupport(collection), audit });
+
+        const apply = async result => {
+            if (result.type === "unchanged") {
+                counts.existing++;
+                report.unchanged++;
+                return;
+            }
+            if (result.type === "added") {
+                counts.new++;
+                list(report.added, summarizeHospital(result.hospital));
+                if (writer) await writer.add({ ...result.hospital, effective_from: result.hospital.effective_from || today });
+                return;
+            }
+            counts.modified++;
+            list(report.modified, { id: result.id, before: result.before, after: summarizeHospital(result.after) });
+            // Modified rows keep their point id so the upsert overwrites the old record
+            if (writer) await writer.add({ ...result.after, id: result.id }, result.before);
+        };
+
+        for await (const hospital of streamHospitals(filePath, stats, { source, format, sheet, scratch })) {
+            const result = diff.check(hospital);
+            if (result) await apply(result);
+        }
+        for (const result of diff.finish()) await apply(result);
+        if (writer) await writer.finish();
+
+        let leftPlan = 0;
+        for (const hospitals of diff.removed()) {
+            counts.removed += hospitals.length;
+            hospitals.forEach(hospital => list(report.removed, hospital));
+            if (!dryRun) leftPlan += await removeUnlisted(collection, stats, hospitals, { planId, today, audit });
+        }
+
+        console.log(`➕ Added: ${counts.new}  ✏️  Modified: ${counts.modified}  ➖ Removed: ${counts.removed}  = Unchanged: ${counts.existing}`);
+
+        if (dryRun) {
+            for (const hospitals of diff.redundant()) hospitals.forEach(hospital => list(report.redundant, hospital));
+            console.log("🧪 Dry run - no changes written");
+            stats.finishedAt = new Date().toISOString();
+            return stats;
+        }
+        if (leftPlan > 0) console.log(`🏷️  Removed ${leftPlan} hospitals from plan ${planId}`);
+
+        // Extra copies of a stored hospital are left over from earlier runs, not network changes
+        for (const hospitals of diff.redundant()) {
+            hospitals.forEach(hospital => list(report.redundant, hospital));
+            try {
+                await deletePoints(collection, hospitals.map(r => r.id));
+                auditChanges(stats, hospitals.map(({ id, ...payload }) => ({ hospitalId: id, action: "deleted", before: payload })), audit);
+            } catch (error) {
+                console.error("❌ Failed to delete duplicate points:", error.message);
+                recordError(stats, "database", error.message, { redundant: hospitals.length });
+            }
+        }
+    } finally {
+        scratch.close();
+    }
+
+    checkpoint?.finish(counts);
+    stats.finishedAt = new Date().toISOString();
+    return stats;
+}
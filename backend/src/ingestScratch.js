@@ -0,0 +1,29 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+
+/**
+ * Throwaway SQLite file for the working state of one ingest or sync run
+ * (keys already seen, duplicate candidates, the stored hospitals a sync diffs
+ * against), so that state lives on disk instead of growing the process with
+ * the size of the list. Nothing in it outlives the run: `close` deletes it.
+ */
+export function openScratch(name = "ingest") {
+    const file = path.join(os.tmpdir(), `${name}-${process.pid}-${crypto.randomUUID()}.db`);
+    const db = new Database(file);
+    // Losing the file in a crash loses nothing the run can't rebuild, so nothing is
+    // journaled or synced, and one transaction spans the run instead of one per row
+    db.pragma("journal_mode = OFF");
+    db.pragma("synchronous = OFF");
+    db.exec("BEGIN");
+
+    return {
+        db,
+        close() {
+            db.close();
+            fs.rmSync(file, { force: true });
+        }
+    };
+}
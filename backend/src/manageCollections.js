@@ -0,0 +1,46 @@
+import { HOSPITALS_COLLECTION, listCollectionVersions, promoteCollection, rollbackCollection, validateCollection } from "./collections.js";
+import { countPoints } from "./qdrantClient.js";
+
+const [command = "list", name] = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+const REPLACE_LEGACY = process.argv.includes("--replace-legacy");
+const ALLOW_SHRINK = process.argv.includes("--allow-shrink");
+
+async function list() {
+    const versions = await listCollectionVersions();
+    if (versions.length === 0) {
+        console.log(`No versioned collections behind "${HOSPITALS_COLLECTION}" yet - build one with npm run ingest -- <file> --rebuild`);
+        return;
+    }
+    console.log(`📚 Versions of "${HOSPITALS_COLLECTION}":`);
+    for (const version of versions) {
+        const count = (await countPoints(version.name))?.result?.count ?? 0;
+        console.log(`   ${version.active ? "→" : " "} ${version.name} (${count} hospitals)`);
+    }
+}
+
+async function promote() {
+    if (!name) throw new Error("Usage: npm run collections -- promote <collection>");
+    const problems = await validateCollection(name, { allowShrink: ALLOW_SHRINK });
+    if (problems.length > 0) {
+        problems.forEach(problem => console.log(`   • ${problem}`));
+        throw new Error(`${name} failed validation`);
+    }
+    await promoteCollection(name, { replaceLegacy: REPLACE_LEGACY });
+}
+
+const COMMANDS = { list, promote, rollback: () => rollbackCollection() };
+
+(async () => {
+    const run = COMMANDS[command];
+    if (!run) {
+        console.error(`Unknown command "${command}" - expected one of ${Object.keys(COMMANDS).join(", ")}`);
+        process.exit(1);
+    }
+    try {
+        await run();
+        process.exit(0);
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,128 @@
+// Network membership dates. A hospital is in network from `effective_from`
+// through `effective_to` (both inclusive, "YYYY-MM-DD"); a missing date leaves
+// that side open, so hospitals ingested before the dates existed count as
+// always in network. A hospital that left and was listed again keeps its
+// earlier, closed periods in `network_periods` ([{ from, to }], oldest first).
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+export function todayIso() {
+    return toIsoDate(new Date());
+}
+
+// The day before `date`, for closing a hospital's membership when it drops off the list
+export function dayBefore(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return toIsoDate(d);
+}
+
+/**
+ * Parse a date as it appears in network files or requests: ISO "2024-03-05",
+ * Indian day-first "05/03/2024", "05-03-2024" or "05.03.2024", or the way
+ * replies write it, "5 March 2024" (or "5 Mar 2024"). Anything else, and
+ * impossible dates like 31/02/2024, give null.
+ */
+export function parseNetworkDate(value) {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+    if (match) return isoDate(match[1], match[2], match[3]);
+
+    match = text.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/);
+    if (match) return isoDate(match[4], match[3], match[1]);
+
+    match = text.match(/^(\d{1,2})\s+([a-z]+)\s+(\d{4})$/i);
+    if (match) {
+        const name = match[2].toLowerCase();
+        const month = MONTHS.findIndex(m => m.toLowerCase() === name || (name.length >= 3 && m.toLowerCase().startsWith(name)));
+        if (month !== -1) return isoDate(match[3], month + 1, match[1]);
+    }
+    return null;
+}
+
+function isoDate(year, month, day) {
+    [year, month, day] = [year, month, day].map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Rejects 31/02 and similar instead of rolling over into the next month
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return toIsoDate(date);
+}
+
+// "2024-03-05" -> "5 March 2024", the way replies read dates out
+export function formatNetworkDate(date) {
+    const [year, month, day] = date.split("-").map(Number);
+    return `${day} ${MONTHS[month - 1]} ${year}`;
+}
+
+function periodConditions(fromKey, toKey, date) {
+    return [
+        { should: [{ is_empty: { key: fromKey } }, { key: fromKey, range: { lte: date } }] },
+        { should: [{ is_empty: { key: toKey } }, { key: toKey, range: { gte: date } }] }
+    ];
+}
+
+/**
+ * Qdrant conditions for hospitals in network on `date`, in their current
+ * period or an earlier one. Combine them with other conditions under `must`
+ * (see withNetworkDate).
+ */
+export function inNetworkConditions(date = todayIso()) {
+    return [{
+        should: [
+            { must: periodConditions("effective_from", "effective_to", date) },
+            { nested: { key: "network_periods", filter: { must: periodConditions("from", "to", date) } } }
+        ]
+    }];
+}
+
+// `filter` narrowed to hospitals in network on `date`
+export function withNetworkDate(filter, date = todayIso()) {
+    return { must: [...(filter?.must || []), ...inNetworkConditions(date)] };
+}
+
+// Every membership period of a stored hospital, oldest first, the current one last
+function networkPeriods(payload) {
+    return [
+        ...(payload?.network_periods || []),
+        { from: payload?.effective_from || null, to: payload?.effective_to || null }
+    ];
+}
+
+/**
+ * Where a stored hospital stood on `date`: { inNetwork, asOf, effectiveFrom,
+ * effectiveTo } for the period that covers it, or when it was out the
+ * `reason` and the nearest period: "not_yet" with the next one (and
+ * `previousEffectiveTo` when it had been in network before, i.e. a gap), or
+ * "ended" with the last one.
+ */
+export function networkStatus(payload, date = todayIso()) {
+    const periods = networkPeriods(payload);
+    const status = (period, extra = {}) => ({ inNetwork: false, asOf: date, effectiveFrom: period.from, effectiveTo: period.to, ...extra });
+
+    const covering = periods.find(p => (!p.from || p.from <= date) && (!p.to || date <= p.to));
+    if (covering) return { ...status(covering), inNetwork: true };
+
+    const next = periods.find(p => p.from && date < p.from);
+    const previous = periods.filter(p => p.to && p.to < date).pop();
+    if (next) return status(next, { reason: "not_yet", ...(previous && { previousEffectiveTo: previous.to }) });
+    return status(previous, { reason: "ended" });
+}
+
+/**
+ * Network dates for a hospital that had left the network and is listed
+ * again: the period it left is kept in `network_periods` and a new one starts
+ * on `from`, open-ended unless `to` is given.
+ */
+export function reopenNetworkPeriod(payload, from, to = null) {
+    return {
+        effective_from: from,
+        ...(to && { effective_to: to }),
+        network_periods: [...(payload.network_periods || []), { from: payload.effective_from || null, to: payload.effective_to }]
+    };
+}
@@ -0,0 +1,40 @@
+// Plan (network) ids are kept lower-cased in each hospital's `plans` payload
+// list. A hospital without plans was ingested before plans were used and
+// counts as part of every plan.
+
+export function normalizePlanId(value) {
+    const id = String(value ?? "").trim().toLowerCase();
+    return id || null;
+}
+
+// "Gold, Silver" -> ["gold", "silver"], for file columns and admin input
+export function parsePlanIds(value) {
+    return [...new Set(String(value ?? "").split(/[,;|]/).map(normalizePlanId).filter(Boolean))].sort();
+}
+
+// Sorted union of plan lists, so stored lists compare equal regardless of order
+export function mergePlanIds(...lists) {
+    return [...new Set(lists.flatMap(list => list || []))].sort();
+}
+
+// Qdrant condition for hospitals on any of `plans`
+export function planCondition(plans) {
+    return {
+        should: [
+            { is_empty: { key: "plans" } },
+            plans.length === 1 ? { key: "plans", match: { value: plans[0] } } : { key: "plans", match: { any: plans } }
+        ]
+    };
+}
+
+// `filter` narrowed to hospitals on `plan`; unchanged when there is no plan
+export function withPlan(filter, plan) {
+    if (!plan) return filter;
+    return { must: [...(filter?.must || []), planCondition([plan])] };
+}
+
+export function inPlan(payload, plan) {
+    if (!plan) return true;
+    const plans = payload?.plans || [];
+    return plans.length === 0 || plans.includes(plan);
+}
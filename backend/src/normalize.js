@@ -0,0 +1,92 @@
+// Canonical city names and the spellings, former names and abbreviations that map to them.
+// Neighbouring cities and localities (Navi Mumbai, Dwarka) are places of their own, not aliases.
+const CITY_ALIASES = {
+    "Mumbai": ["bombay", "mumbai suburban"],
+    "Bengaluru": ["bangalore", "banglore", "bengaluru urban", "bangalore urban", "blr"],
+    "Bengaluru Rural": ["bangalore rural"],
+    "New Delhi": ["delhi", "new delhi", "west delhi", "south delhi", "north delhi", "east delhi", "central delhi"],
+    "Gurugram": ["gurgaon", "ggn"],
+    "Ghaziabad": ["gzb"],
+    "Greater Noida": ["greater noida west", "greater noida ext", "greater noida extension", "noida extension"],
+    "Kolkata": ["calcutta"],
+    "Chennai": ["madras"],
+    "Pune": ["poona"],
+    "Prayagraj": ["allahabad"],
+    "Mysuru": ["mysore"],
+    "Kochi": ["cochin"],
+    "Thiruvananthapuram": ["trivandrum"],
+    "Vadodara": ["baroda"],
+    "Visakhapatnam": ["vizag"]
+};
+
+const aliasLookup = new Map();
+for (const [canonical, aliases] of Object.entries(CITY_ALIASES)) {
+    aliasLookup.set(canonical.toLowerCase(), canonical);
+    for (const alias of aliases) aliasLookup.set(alias, canonical);
+}
+
+function cityLookupKey(city) {
+    return String(city || "")
+        .toLowerCase()
+        .replace(/[.,;:]+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(/^the /, "")
+        .replace(/ city$/, "");
+}
+
+function titleCase(text) {
+    return text.replace(/\S+/g, word => word.charAt(0).toUpperCase() + word.slice(1));
+}
+
+/**
+ * Canonical spelling of a city: known aliases are resolved (Bombay → Mumbai,
+ * GZB → Ghaziabad) and anything else is title-cased.
+ */
+export function canonicalizeCity(city) {
+    const key = cityLookupKey(city);
+    if (!key) return "";
+    return aliasLookup.get(key) || titleCase(key);
+}
+
+// Lowercase spellings that refer to the same canonical city, for matching inside free text
+export function cityVariants(city) {
+    const canonical = canonicalizeCity(city);
+    if (!canonical) return [];
+    return [canonical.toLowerCase(), ...(CITY_ALIASES[canonical] || [])];
+}
+
+export function sameCity(a, b) {
+    const ca = canonicalizeCity(a);
+    return !!ca && ca === canonicalizeCity(b);
+}
+
+// Collapse whitespace and tidy punctuation without changing the words themselves
+export function cleanAddress(address) {
+    return String(address || "")
+        .replace(/\s+/g, " ")
+        .replace(/\s*,\s*/g, ", ")
+        .replace(/(,\s*)+/g, ", ")
+        .replace(/\s+([.;:])/g, "$1")
+        .replace(/^[\s,.;:-]+|[\s,;:-]+$/g, "")
+        .trim();
+}
+
+export function cleanName(name) {
+    return String(name || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Ingestion-time normalization. The canonical values replace name/address/city
+ * and the values as received are kept in raw_address/raw_city.
+ */
+export function normalizeHospital(hospital) {
+    return {
+        ...hospital,
+        name: cleanName(hospital.name),
+        address: cleanAddress(hospital.address),
+        city: canonicalizeCity(hospital.city),
+        raw_address: hospital.address,
+        raw_city: hospital.city
+    };
+}
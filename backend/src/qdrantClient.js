@@ -1,4 +1,6 @@
 import dotenv from "dotenv";
+import { canonicalizeCity } from "./normalize.js";
+import { SPARSE_FIELDS, sparseQueryVector } from "./sparseVectors.js";
 dotenv.config();
 
 const QDRANT_URL = process.env.QDRANT_URL;
@@ -11,13 +13,16 @@ function headers() {
     return h;
 }
 
-export async function ensureCollection(collectionName, dimension = 768) {
+// `dimension` comes from the embedding provider (see getEmbeddingDimension in embeddingProviders.js)
+export async function ensureCollection(collectionName, dimension) {
     const url = `${QDRANT_URL}/collections/${collectionName}`;
     const body = {
         vectors: {
             size: dimension,
             distance: "Cosine"
         },
+        // BM25-style keyword vectors for name and address; Qdrant supplies the IDF
+        sparse_vectors: Object.fromEntries(SPARSE_FIELDS.map(field => [field, { modifier: "idf" }])),
         optimizers_config: {
             default_segment_number: 2
         },
@@ -35,6 +40,11 @@ export async function ensureCollection(collectionName, dimension = 768) {
         if (!txt.includes("already exists")) {
             throw new Error("Qdrant ensureCollection failed: " + txt);
         }
+        // Vectors of another size can't be stored or searched in an existing collection
+        const existing = await getCollectionDimension(collectionName);
+        if (existing !== dimension) {
+            throw new Error(`Collection "${collectionName}" stores ${existing}-dimensional vectors but the embedding provider produces ${dimension} - re-ingest into a new collection`);
+        }
     }
 
     // Create proper indexes
@@ -43,6 +53,18 @@ export async function ensureCollection(collectionName, dimension = 768) {
     await createPayloadIndex(collectionName, "city_exact", "keyword");
     await createPayloadIndex(collectionName, "address", "text");
     await createPayloadIndex(collectionName, "unique_key", "keyword");
+    await createPayloadIndex(collectionName, "location", "geo");
+    // Structured search filters (see searchFilters.js)
+    await createPayloadIndex(collectionName, "pincode", "keyword");
+    await createPayloadIndex(collectionName, "state", "text");
+    await createPayloadIndex(collectionName, "specialities", "text");
+    await createPayloadIndex(collectionName, "tier", "keyword");
+    await createPayloadIndex(collectionName, "cashless", "bool");
+    // Network membership dates (see networkDates.js)
+    await createPayloadIndex(collectionName, "effective_from", "datetime");
+    await createPayloadIndex(collectionName, "effective_to", "datetime");
+    // Plan (network) ids, see networkPlans.js
+    await createPayloadIndex(collectionName, "plans", "keyword");
 
     return true;
 }
@@ -124,6 +146,121 @@ export async function getAllExistingKeys(collectionName) {
     return existingKeys;
 }
 
+// Scroll through every point, returning ids with the requested payload fields
+export async function getAllPoints(collectionName, payloadFields = true) {
+    const points = [];
+    let offset = null;
+    const limit = 1000;
+
+    while (true) {
+        const url = `${QDRANT_URL}/collections/${collectionName}/points/scroll`;
+        const body = {
+            limit,
+            with_payload: payloadFields,
+            with_vector: false
+        };
+
+        if (offset) {
+            body.offset = offset;
+        }
+
+        const resp = await fetch(url, {
+            method: "POST",
+            headers: headers(),
+            body: JSON.stringify(body)
+        });
+
+        if (!resp.ok) {
+            const txt = await resp.text();
+            if (txt.includes("Not found")) {
+                console.log("Collection doesn't exist yet, no existing points");
+                return [];
+            }
+            throw new Error("Failed to scroll points: " + txt);
+        }
+
+        const result = await resp.json();
+        const page = result.result.points || [];
+        if (page.length === 0) break;
+
+        points.push(...page);
+
+        offset = result.result.next_page_offset;
+        if (!offset) break;
+    }
+
+    return points;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+const MAX_POINT_NUMBER = 18446744073709551615n;
+
+// Qdrant point ids are UUIDs or unsigned 64-bit integers; Qdrant rejects anything else with a 400
+export function isPointId(id) {
+    const text = String(id);
+    if (UUID_PATTERN.test(text)) return true;
+    return /^\d{1,20}$/.test(text) && BigInt(text) <= MAX_POINT_NUMBER;
+}
+
+// Fetch a single point by id, or null when it doesn't exist (a malformed id can't name one)
+export async function getPoint(collectionName, id) {
+    if (!isPointId(id)) return null;
+    const url = `${QDRANT_URL}/collections/${collectionName}/points/${id}`;
+    const resp = await fetch(url, {
+        method: "GET",
+        headers: headers()
+    });
+
+    if (resp.status === 404) return null;
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Qdrant get point failed: " + txt);
+    }
+
+    const result = await resp.json();
+    return result.result;
+}
+
+// Delete points by id
+export async function deletePoints(collectionName, ids) {
+    if (!ids || ids.length === 0) {
+        return { status: "ok", result: { operation_id: null, status: "completed" } };
+    }
+
+    const url = `${QDRANT_URL}/collections/${collectionName}/points/delete?wait=true`;
+    const resp = await fetch(url, {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify({ points: ids })
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Qdrant delete failed: " + txt);
+    }
+    return resp.json();
+}
+
+// Merge `payload` into the stored payload of each point, leaving vectors and other fields as they are
+export async function setPayload(collectionName, ids, payload) {
+    if (!ids || ids.length === 0) {
+        return { status: "ok", result: { operation_id: null, status: "completed" } };
+    }
+
+    const url = `${QDRANT_URL}/collections/${collectionName}/points/payload?wait=true`;
+    const resp = await fetch(url, {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify({ payload, points: ids })
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Qdrant set payload failed: " + txt);
+    }
+    return resp.json();
+}
+
 // Upsert points in batches
 export async function upsertPointsFast(collectionName, points) {
     if (!points || points.length === 0) {
@@ -193,67 +330,194 @@ export async function vectorSearch(collectionName, vector, topK = 5, filter = nu
     return resp.json();
 }
 
+const SCROLL_PAGE_SIZE = 256;
+
+/**
+ * Filter-only lookup over /points/scroll. Pages through the collection until
+ * `limit` points are collected (or all of them when `limit` is null) and
+ * returns { result, next_page_offset } in point id order, so repeated calls
+ * give the same ordering. Pass `next_page_offset` back as `offset` to
+ * continue where the previous call stopped.
+ */
+export async function scrollMatches(collectionName, filter, { limit = null, offset = null, payloadFields = true } = {}) {
+    const url = `${QDRANT_URL}/collections/${collectionName}/points/scroll`;
+    const points = [];
+    let nextOffset = offset;
+
+    do {
+        const body = {
+            filter,
+            limit: limit === null ? SCROLL_PAGE_SIZE : Math.min(SCROLL_PAGE_SIZE, limit - points.length),
+            with_payload: payloadFields,
+            with_vector: false
+        };
+        if (nextOffset !== null && nextOffset !== undefined) {
+            body.offset = nextOffset;
+        }
+
+        const resp = await fetch(url, {
+            method: "POST",
+            headers: headers(),
+            body: JSON.stringify(body)
+        });
+        if (!resp.ok) {
+            const txt = await resp.text();
+            throw new Error("Qdrant scroll failed: " + txt);
+        }
+
+        const j = await resp.json();
+        points.push(...(j.result?.points || []));
+        nextOffset = j.result?.next_page_offset ?? null;
+    } while (nextOffset !== null && (limit === null || points.length < limit));
+
+    return { result: points, next_page_offset: nextOffset };
+}
+
+/**
+ * Every point matching `filter`, one scroll page at a time, for walks over a
+ * whole collection that shouldn't hold it all at once. A collection that
+ * doesn't exist yet has no points, as for getAllPoints.
+ */
+export async function* scrollPages(collectionName, filter = null, { payloadFields = true } = {}) {
+    let offset = null;
+    do {
+        let page;
+        try {
+            page = await scrollMatches(collectionName, filter, { limit: SCROLL_PAGE_SIZE, offset, payloadFields });
+        } catch (error) {
+            if (offset === null && error.message.includes("Not found")) return;
+            throw error;
+        }
+        if (page.result.length > 0) yield page.result;
+        offset = page.next_page_offset;
+    } while (offset !== null);
+}
+
+// Stored points whose unique_key is one of `keys`, for checking a batch of rows against the collection
+export async function findByUniqueKeys(collectionName, keys) {
+    if (keys.length === 0) return [];
+    const { result } = await scrollMatches(collectionName, { must: [{ key: "unique_key", match: { any: keys } }] });
+    return result;
+}
+
+function cityFilter(city) {
+    return { must: [{ key: "city_exact", match: { value: canonicalizeCity(city) } }] };
+}
+
 // Strict exact match by city (keyword match)
-export async function exactMatchByCity(collectionName, city) {
-    const url = `${QDRANT_URL}/collections/${collectionName}/points/search`;
-    const body = {
-        vector: Array(768).fill(0.0),
-        limit: 20,
-        filter: {
-            must: [{ key: "city_exact", match: { value: city } }]
-        },
-        with_payload: true
-    };
+export async function exactMatchByCity(collectionName, city, options = {}) {
+    return scrollMatches(collectionName, cityFilter(city), options);
+}
+
+// Strict exact match by name (every word of it must be in the name), paged like exactMatchByCity
+export async function exactMatchByName(collectionName, hospitalName, options = {}) {
+    return scrollMatches(collectionName, { must: [{ key: "name", match: { text: hospitalName } }] }, options);
+}
+
+/**
+ * Enhanced fuzzy / partial matching on name, address, and city. Without a
+ * `limit` every match is returned, paged through in id order; the order says
+ * nothing about relevance, so rank the hits before cutting them down.
+ */
+export async function fuzzyMatchHospital(collectionName, query, options = {}) {
+    return scrollMatches(collectionName, {
+        should: [
+            { key: "name", match: { text: query } },
+            { key: "address", match: { text: query } },
+            { key: "city", match: { text: query } }
+        ]
+    }, options);
+}
+
+// Exact number of hospitals matching a filter (all of them when the filter is null)
+export async function countMatches(collectionName, filter = null) {
+    const url = `${QDRANT_URL}/collections/${collectionName}/points/count`;
     const resp = await fetch(url, {
         method: "POST",
         headers: headers(),
-        body: JSON.stringify(body)
+        body: JSON.stringify({ filter, exact: true })
     });
     if (!resp.ok) {
         const txt = await resp.text();
-        throw new Error("Qdrant city match failed: " + txt);
+        throw new Error("Qdrant count failed: " + txt);
     }
-    return resp.json();
+    const j = await resp.json();
+    return j?.result?.count ?? 0;
 }
 
-// Strict exact match by name
-export async function exactMatchByName(collectionName, hospitalName) {
-    const url = `${QDRANT_URL}/collections/${collectionName}/points/search`;
-    const body = {
-        vector: Array(768).fill(0.0),
-        limit: 10,
-        filter: {
-            must: [{ key: "name", match: { text: hospitalName } }]
-        },
-        with_payload: true
-    };
+// Exact number of hospitals whose canonical city matches, for "how many hospitals in X";
+// `filter` narrows it further, e.g. to the hospitals in network today
+export async function countByCity(collectionName, city, filter = null) {
+    return countMatches(collectionName, { must: [...cityFilter(city).must, ...(filter?.must || [])] });
+}
+
+/**
+ * Most common values of a keyword-indexed payload field among the hospitals
+ * matching `filter`, as [{ value, count }] with the largest count first.
+ */
+export async function facetCounts(collectionName, key, filter = null, limit = 10) {
+    const url = `${QDRANT_URL}/collections/${collectionName}/facet`;
     const resp = await fetch(url, {
         method: "POST",
         headers: headers(),
-        body: JSON.stringify(body)
+        body: JSON.stringify({ key, filter, limit, exact: true })
     });
     if (!resp.ok) {
         const txt = await resp.text();
-        throw new Error("Qdrant exact match failed: " + txt);
+        throw new Error(`Qdrant facet on ${key} failed: ` + txt);
     }
-    return resp.json();
+    const j = await resp.json();
+    return j?.result?.hits ?? [];
+}
+
+// Great-circle distance in kilometres between two { lat, lon } points
+function haversineKm(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLon = rad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// `filter` narrowed to hospitals within `radiusKm` of `center`
+export function geoRadiusFilter(center, radiusKm, filter = null) {
+    return {
+        must: [
+            { key: "location", geo_radius: { center: { lat: center.lat, lon: center.lon }, radius: radiusKm * 1000 } },
+            ...(filter?.must || [])
+        ]
+    };
+}
+
+/**
+ * Hospitals within `radiusKm` of `center`, nearest first (ties by id), each
+ * with `distanceKm`. Qdrant applies the radius through the geo index; it
+ * can't order by distance, so every hospital inside the radius is scrolled
+ * and sorted here. `filter` adds further conditions (e.g. city or name) to
+ * the radius, and a null `limit` returns them all.
+ */
+export async function nearbyHospitals(collectionName, center, { radiusKm = 10, limit = 10, filter = null } = {}) {
+    const { result } = await scrollMatches(collectionName, geoRadiusFilter(center, radiusKm, filter));
+
+    const hits = result
+        .map(point => ({ ...point, distanceKm: Number(haversineKm(center, point.payload.location).toFixed(2)) }))
+        .sort((a, b) => a.distanceKm - b.distanceKm || String(a.id).localeCompare(String(b.id)));
+    return { result: limit === null ? hits : hits.slice(0, limit), total: hits.length };
 }
 
-// Enhanced fuzzy / partial matching on name, address, and city
-export async function fuzzyMatchHospital(collectionName, query) {
+// Keyword search against one of the named sparse vectors
+export async function sparseSearch(collectionName, field, text, topK = 10, filter = null) {
+    const sparse = sparseQueryVector(text);
+    if (!sparse) return { result: [] };
+
     const url = `${QDRANT_URL}/collections/${collectionName}/points/search`;
     const body = {
-        vector: Array(768).fill(0.0),
-        limit: 20,
-        filter: {
-            should: [
-                { key: "name", match: { text: query } },
-                { key: "address", match: { text: query } },
-                { key: "city", match: { text: query } }
-            ]
-        },
+        vector: { name: field, vector: sparse },
+        limit: topK,
         with_payload: true
     };
+    if (filter) body.filter = filter;
+
     const resp = await fetch(url, {
         method: "POST",
         headers: headers(),
@@ -261,13 +525,44 @@ export async function fuzzyMatchHospital(collectionName, query) {
     });
     if (!resp.ok) {
         const txt = await resp.text();
-        throw new Error("Qdrant fuzzy match failed: " + txt);
+        throw new Error("Qdrant sparse search failed: " + txt);
     }
     return resp.json();
 }
 
-// Fixed hybrid search with proper index usage
-export async function hybridSearch(collectionName, queryVector, topK = 5, cityFilter = null) {
+// Relative say of each retriever in reciprocal rank fusion; override per call via hybridSearch options
+export const DEFAULT_FUSION_WEIGHTS = { dense: 1, name: 1, address: 0.5 };
+const RRF_K = 60;
+
+/**
+ * Weighted reciprocal rank fusion: each list contributes weight / (k + rank)
+ * for every hit it ranks. The fused value becomes `score`; each retriever's own
+ * score and rank are kept under `retrieval`.
+ */
+export function fuseRankings(rankings, weights = DEFAULT_FUSION_WEIGHTS) {
+    const fused = new Map();
+    for (const [source, hits] of Object.entries(rankings)) {
+        const weight = weights[source] ?? 0;
+        if (weight <= 0) continue;
+        hits.forEach((hit, idx) => {
+            const id = String(hit.id);
+            if (!fused.has(id)) fused.set(id, { ...hit, score: 0, retrieval: {} });
+            const entry = fused.get(id);
+            entry.score += weight / (RRF_K + idx + 1);
+            entry.retrieval[source] = { rank: idx + 1, score: hit.score };
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * Dense search fused with BM25-style keyword search on name and address.
+ * Pass `queryText` to enable the keyword side (collections without sparse
+ * vectors fall back to dense only) and `weights` to change how much each
+ * retriever counts, e.g. { dense: 1, name: 2, address: 0 }. `filter` is a
+ * Qdrant filter every hit must also match (see buildSearchFilter).
+ */
+export async function hybridSearch(collectionName, queryVector, topK = 5, cityFilter = null, { queryText = null, weights = DEFAULT_FUSION_WEIGHTS, filter = null } = {}) {
     const url = `${QDRANT_URL}/collections/${collectionName}/points/search`;
     const body = {
         vector: queryVector,
@@ -276,14 +571,18 @@ export async function hybridSearch(collectionName, queryVector, topK = 5, cityFi
         score_threshold: 0.1
     };
 
+    const conditions = [...(filter?.must || [])];
     if (cityFilter) {
-        body.filter = {
+        conditions.push({
             should: [
-                { key: "city_exact", match: { value: cityFilter } },
+                { key: "city_exact", match: { value: canonicalizeCity(cityFilter) } },
                 { key: "city", match: { text: cityFilter } },
                 { key: "address", match: { text: cityFilter } }
             ]
-        };
+        });
+    }
+    if (conditions.length > 0) {
+        body.filter = { must: conditions };
     }
 
     const resp = await fetch(url, {
@@ -299,6 +598,17 @@ export async function hybridSearch(collectionName, queryVector, topK = 5, cityFi
 
     const results = await resp.json();
 
+    if (queryText && results.result && await hasSparseVectors(collectionName)) {
+        const fusionWeights = { ...DEFAULT_FUSION_WEIGHTS, ...weights };
+        const rankings = { dense: results.result };
+        for (const field of SPARSE_FIELDS) {
+            if (!(fusionWeights[field] > 0)) continue;
+            const sparse = await sparseSearch(collectionName, field, queryText, topK * 2, body.filter);
+            rankings[field] = sparse.result || [];
+        }
+        results.result = fuseRankings(rankings, fusionWeights);
+    }
+
     if (results.result) {
         const seen = new Set();
         const uniqueResults = [];
@@ -314,7 +624,7 @@ export async function hybridSearch(collectionName, queryVector, topK = 5, cityFi
         }
 
         if (cityFilter) {
-            const cityLower = cityFilter.toLowerCase();
+            const cityLower = canonicalizeCity(cityFilter).toLowerCase();
             const exactMatches = uniqueResults.filter(r =>
                 (r.payload?.city || "").toLowerCase() === cityLower
             );
@@ -333,96 +643,36 @@ export async function hybridSearch(collectionName, queryVector, topK = 5, cityFi
     return results;
 }
 
-// Multi-step search: First try semantic search, then fallback to text matching
-export async function smartHospitalSearch(collectionName, queryVector, searchTerm, city = null, topK = 5) {
-    try {
-        const semanticResults = await hybridSearch(collectionName, queryVector, topK, city);
-
-        if (semanticResults.result && semanticResults.result.length > 0) {
-            return semanticResults;
-        }
-        console.log("Semantic search returned no results, trying fuzzy matching...");
-        const fuzzyResults = await fuzzyMatchHospital(collectionName, searchTerm);
-
-        if (fuzzyResults.result) {
-            const seen = new Set();
-            let filtered = [];
-
-            for (const result of fuzzyResults.result) {
-                const uniqueKey = result.payload?.unique_key ||
-                    `${result.payload?.name}|${result.payload?.city}|${result.payload?.address}`;
-
-                if (seen.has(uniqueKey)) continue;
-                seen.add(uniqueKey);
-
-                if (city) {
-                    const cityLower = city.toLowerCase();
-                    const resultCity = (result.payload?.city || "").toLowerCase();
-                    const resultAddress = (result.payload?.address || "").toLowerCase();
-
-                    if (resultCity.includes(cityLower) || resultAddress.includes(cityLower)) {
-                        filtered.push(result);
-                    }
-                } else {
-                    filtered.push(result);
-                }
-            }
-
-            fuzzyResults.result = filtered.slice(0, topK);
-        }
-
-        return fuzzyResults;
-
-    } catch (error) {
-        console.error("Smart search error:", error);
-        throw error;
-    }
+// An alias can be moved to another collection by a different process (promote/rollback),
+// so what is cached under a name is only trusted this long
+const COLLECTION_VECTORS_TTL_MS = 60 * 1000;
+const collectionVectors = new Map();
+
+// Dense vector size and sparse vector names the collection was created with
+async function getCollectionVectors(collectionName) {
+    const cached = collectionVectors.get(collectionName);
+    if (cached && Date.now() - cached.fetchedAt < COLLECTION_VECTORS_TTL_MS) return cached;
+
+    const info = await getCollectionInfo(collectionName);
+    const params = info?.result?.config?.params;
+    const vectors = {
+        dimension: params?.vectors?.size,
+        sparse: Object.keys(params?.sparse_vectors || {}),
+        fetchedAt: Date.now()
+    };
+    collectionVectors.set(collectionName, vectors);
+    return vectors;
 }
 
-// City-focused search with fallback strategies
-export async function searchByCity(collectionName, city, topK = 10) {
-    try {
-        const exactResults = await exactMatchByCity(collectionName, city);
-        if (exactResults.result && exactResults.result.length > 0) {
-            const seen = new Set();
-            const uniqueResults = exactResults.result.filter(result => {
-                const uniqueKey = result.payload?.unique_key ||
-                    `${result.payload?.name}|${result.payload?.city}|${result.payload?.address}`;
-                if (seen.has(uniqueKey)) return false;
-                seen.add(uniqueKey);
-                return true;
-            });
-
-            return {
-                ...exactResults,
-                result: uniqueResults.slice(0, topK)
-            };
-        }
-
-        const fuzzyResults = await fuzzyMatchHospital(collectionName, city);
-        const cityLower = city.toLowerCase();
-        const seen = new Set();
-        const filtered = (fuzzyResults.result || []).filter(r => {
-            const uniqueKey = r.payload?.unique_key ||
-                `${r.payload?.name}|${r.payload?.city}|${r.payload?.address}`;
-
-            if (seen.has(uniqueKey)) return false;
-            seen.add(uniqueKey);
-
-            const resultCity = (r.payload?.city || "").toLowerCase();
-            const resultAddress = (r.payload?.address || "").toLowerCase();
-            return resultCity.includes(cityLower) || resultAddress.includes(cityLower);
-        });
-
-        return {
-            ...fuzzyResults,
-            result: filtered.slice(0, topK)
-        };
+// Vector size the collection was created with
+export async function getCollectionDimension(collectionName) {
+    return (await getCollectionVectors(collectionName)).dimension;
+}
 
-    } catch (error) {
-        console.error("City search error:", error);
-        throw error;
-    }
+// Collections created before sparse vectors existed only support dense search
+export async function hasSparseVectors(collectionName) {
+    const { sparse } = await getCollectionVectors(collectionName);
+    return SPARSE_FIELDS.every(field => sparse.includes(field));
 }
 
 // Get collection info for debugging
@@ -456,6 +706,59 @@ export async function countPoints(collectionName) {
     return resp.json();
 }
 
+// Names of all collections
+export async function listCollections() {
+    const url = `${QDRANT_URL}/collections`;
+    const resp = await fetch(url, {
+        method: "GET",
+        headers: headers()
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Failed to list collections: " + txt);
+    }
+    const j = await resp.json();
+    return (j?.result?.collections || []).map(c => c.name);
+}
+
+// All aliases as { alias_name, collection_name }
+export async function listAliases() {
+    const url = `${QDRANT_URL}/aliases`;
+    const resp = await fetch(url, {
+        method: "GET",
+        headers: headers()
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Failed to list aliases: " + txt);
+    }
+    const j = await resp.json();
+    return j?.result?.aliases || [];
+}
+
+// Apply alias actions (create_alias / delete_alias / rename_alias) in one atomic request
+export async function updateAliases(actions) {
+    const url = `${QDRANT_URL}/collections/aliases`;
+    const resp = await fetch(url, {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify({ actions })
+    });
+
+    if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error("Failed to update aliases: " + txt);
+    }
+    // The aliases may now point at collections created differently
+    for (const action of actions) {
+        const { alias_name: alias } = Object.values(action)[0] || {};
+        if (alias) collectionVectors.delete(alias);
+    }
+    return resp.json();
+}
+
 // Delete collection (for testing/cleanup)
 export async function deleteCollection(collectionName) {
     const url = `${QDRANT_URL}/collections/${collectionName}`;
@@ -468,5 +771,58 @@ export async function deleteCollection(collectionName) {
         const txt = await resp.text();
         throw new Error("Failed to delete collection: " + txt);
     }
+    collectionVectors.delete(collectionName);
     return resp.json();
-}
\ No newline at end of file
+}
+/**
+ * Copy every point of `sourceName`, vectors included, into `targetName`,
+ * creating it with the same vector config and payload indexes if it doesn't
+ * exist yet. Points keep their ids, so copying again only overwrites.
+ */
+export async function copyCollection(sourceName, targetName) {
+    const info = (await getCollectionInfo(sourceName))?.result;
+    const params = info?.config?.params || {};
+
+    const resp = await fetch(`${QDRANT_URL}/collections/${targetName}`, {
+        method: "PUT",
+        headers: headers(),
+        body: JSON.stringify({
+            vectors: params.vectors,
+            ...(params.sparse_vectors && { sparse_vectors: params.sparse_vectors })
+        })
+    });
+    if (!resp.ok) {
+        const txt = await resp.text();
+        if (!txt.includes("already exists")) {
+            throw new Error(`Failed to create ${targetName}: ` + txt);
+        }
+    }
+    for (const [field, schema] of Object.entries(info?.payload_schema || {})) {
+        await createPayloadIndex(targetName, field, schema.params || schema.data_type);
+    }
+
+    let offset = null;
+    let copied = 0;
+    do {
+        const body = { limit: SCROLL_PAGE_SIZE, with_payload: true, with_vector: true };
+        if (offset !== null) body.offset = offset;
+
+        const page = await fetch(`${QDRANT_URL}/collections/${sourceName}/points/scroll`, {
+            method: "POST",
+            headers: headers(),
+            body: JSON.stringify(body)
+        });
+        if (!page.ok) {
+            const txt = await page.text();
+            throw new Error(`Failed to read ${sourceName}: ` + txt);
+        }
+
+        const j = await page.json();
+        const points = j.result?.points || [];
+        await upsertPointsFast(targetName, points.map(({ id, payload, vector }) => ({ id, payload, vector })));
+        copied += points.length;
+        offset = j.result?.next_page_offset ?? null;
+    } while (offset !== null);
+
+    return copied;
+}
@@ -0,0 +1,234 @@
+import dotenv from "dotenv";
+import { scoreHospitalRelevance } from "./genaiClient.js";
+import { findLocalities } from "./gazetteer.js";
+dotenv.config();
+
+//Enhanced hospital name similarity scoring
+function calculateNameSimilarity(searchName, hospitalName) {
+    const search = searchName.toLowerCase().trim();
+    const hospital = hospitalName.toLowerCase().trim();
+
+    if (search === hospital) return 1.0;
+
+    if (hospital.includes(search) || search.includes(hospital)) return 0.9;
+
+    const searchWords = search.split(/\s+/);
+    const hospitalWords = hospital.split(/\s+/);
+
+    let matchedWords = 0;
+    for (const searchWord of searchWords) {
+        for (const hospitalWord of hospitalWords) {
+            if (hospitalWord.includes(searchWord) || searchWord.includes(hospitalWord)) {
+                matchedWords++;
+                break;
+            }
+        }
+    }
+
+    const wordMatchScore = matchedWords / Math.max(searchWords.length, hospitalWords.length);
+
+    const keyTermBonus = searchWords.some(word =>
+        hospitalWords.some(hWord => hWord.includes(word) && word.length >= 4)
+    ) ? 0.2 : 0;
+
+    return Math.min(1.0, wordMatchScore + keyTermBonus);
+}
+
+// Street-style locations that need no gazetteer entry, e.g. "Millers Road", "Old Airport"
+const GENERIC_LOCATION_PATTERNS = [
+    /\b(\w+)\s+(road|street|cross|layout|nagar|pura)\b/gi,
+    /\b(old|new)\s+(\w+)\b/gi
+];
+
+//Extract location terms from hospital name (e.g., "Sarjapur", "Saket", "Wanowrie") using the city's gazetteer
+export async function extractLocationTerms(hospitalName, city = null) {
+    const name = hospitalName.toLowerCase();
+    const locationTerms = (await findLocalities(name, city)).map(m => m.locality);
+
+    for (const pattern of GENERIC_LOCATION_PATTERNS) {
+        const matches = name.match(pattern);
+        if (matches) {
+            locationTerms.push(...matches.map(m => m.trim()));
+        }
+    }
+
+    return [...new Set(locationTerms)];
+}
+
+//Extract main hospital name by removing common suffixes and location terms
+export async function extractMainHospitalName(hospitalName, city = null) {
+    let mainName = hospitalName.toLowerCase();
+
+    // Everything from the first locality on is branch detail ("max saket press enclave" -> "max")
+    const [firstLocality] = (await findLocalities(mainName, city)).filter(m => m.start > 0);
+    if (firstLocality) mainName = mainName.slice(0, firstLocality.start);
+
+    mainName = mainName.replace(/\s+\w+\s+(road|street|cross|layout|nagar|pura).*$/gi, '');
+    mainName = mainName.replace(/\s+(hospital|medical center|clinic)s?$/gi, '');
+
+    return mainName.trim();
+}
+
+// Calculate enhanced similarity with weighted components
+function calculateEnhancedSimilarity(originalQuery, mainName, locationTerms, payload) {
+    const hospitalName = payload?.name || "";
+    const hospitalAddress = payload?.address || "";
+
+    const nameScore = calculateNameSimilarity(mainName, hospitalName) * 0.4;
+
+    let locationScore = 0;
+    if (locationTerms.length > 0) {
+        const addressLower = hospitalAddress.toLowerCase();
+        const nameLower = hospitalName.toLowerCase();
+
+        let matchedTerms = 0;
+        for (const term of locationTerms) {
+            const termLower = term.toLowerCase();
+            if (addressLower.includes(termLower) || nameLower.includes(termLower)) {
+                matchedTerms++;
+            }
+            else if (termLower.length > 4) {
+                const termParts = termLower.split(/[\s-]+/);
+                for (const part of termParts) {
+                    if (part.length >= 3 && (addressLower.includes(part) || nameLower.includes(part))) {
+                        matchedTerms += 0.5;
+                        break;
+                    }
+                }
+            }
+        }
+        locationScore = Math.min(1.0, matchedTerms / locationTerms.length) * 0.35;
+    }
+
+    const addressScore = calculateAddressSimilarity(originalQuery, hospitalAddress) * 0.15;
+
+    const overallNameScore = calculateNameSimilarity(originalQuery, hospitalName) * 0.1;
+
+    const totalScore = nameScore + locationScore + addressScore + overallNameScore;
+
+    return {
+        nameScore,
+        locationScore,
+        addressScore,
+        overallNameScore,
+        totalScore,
+        matchDetails: {
+            mainName,
+            locationTerms,
+            hospitalName,
+            hospitalAddress
+        }
+    };
+}
+
+// Calculate address similarity based on key terms
+function calculateAddressSimilarity(query, address) {
+    const queryLower = query.toLowerCase();
+    const addressLower = address.toLowerCase();
+
+    const queryTerms = queryLower.split(/\s+/).filter(term =>
+        term.length >= 3 &&
+        !['hospital', 'medical', 'center', 'clinic', 'the', 'and', 'of', 'in', 'at', 'on'].includes(term)
+    );
+
+    let matchCount = 0;
+    for (const term of queryTerms) {
+        if (addressLower.includes(term)) {
+            matchCount++;
+        }
+    }
+
+    return queryTerms.length > 0 ? matchCount / queryTerms.length : 0;
+}
+
+/**
+ * The original hand-tuned scorer: main name 0.4, locality terms 0.35,
+ * address terms 0.15 and whole-query name match 0.1.
+ */
+const heuristicReranker = {
+    name: "heuristic",
+    async rerank(query, candidates, { city = null } = {}) {
+        const mainName = await extractMainHospitalName(query, city);
+        const locationTerms = await extractLocationTerms(query, city);
+
+        return candidates.map(hit => {
+            const { totalScore, matchDetails, ...breakdown } = calculateEnhancedSimilarity(query, mainName, locationTerms, hit.payload);
+            return { ...hit, rerankScore: totalScore, scoreBreakdown: breakdown, matchDetails };
+        });
+    }
+};
+
+// Candidates the LLM grades; a longer list overruns its output and slows every confirmation
+const LLM_RERANK_CANDIDATES = 20;
+
+/**
+ * Asks Gemini to grade how well each candidate matches the query, for cases
+ * where word overlap misleads (abbreviations, renamed branches). Only the
+ * heuristic's top LLM_RERANK_CANDIDATES are graded; the rest follow them,
+ * ungraded, in heuristic order. Grades can differ between calls, so its
+ * order is not `stable`.
+ */
+const llmReranker = {
+    name: "llm",
+    stable: false,
+    async rerank(query, candidates, options) {
+        const ranked = (await heuristicReranker.rerank(query, candidates, options))
+            .sort((a, b) => b.rerankScore - a.rerankScore);
+        const scores = await scoreHospitalRelevance(query, ranked.slice(0, LLM_RERANK_CANDIDATES).map(hit => hit.payload || {}));
+
+        return ranked.map(({ rerankScore: heuristicScore, scoreBreakdown, matchDetails, ...hit }, idx) => {
+            const llmScore = scores[idx] ?? null;
+            return { ...hit, rerankScore: llmScore ?? 0, scoreBreakdown: { llmScore, heuristicScore } };
+        });
+    }
+};
+
+const rerankers = new Map([
+    [heuristicReranker.name, heuristicReranker],
+    [llmReranker.name, llmReranker]
+]);
+
+// Add another implementation, e.g. a cross-encoder; it must expose { name, rerank(query, candidates, { city }) },
+// and `stable: false` when the same candidates can come back in a different order
+export function registerReranker(reranker) {
+    rerankers.set(reranker.name, reranker);
+}
+
+export function listRerankers() {
+    return [...rerankers.keys()];
+}
+
+// Whether re-ranking the same candidates again gives the same order, so results can be paged
+export function isStableReranker(name = process.env.RERANKER || "heuristic") {
+    return rerankers.get(name)?.stable !== false;
+}
+
+/**
+ * Re-score retrieval candidates for `query` and return them best first. Each
+ * result carries `rerankScore` (0-1), the re-ranker's `scoreBreakdown` and
+ * which `reranker` produced it; when a remote re-ranker fails the heuristic
+ * scores them instead and `rerankerFallback` names the one that failed.
+ * `name` defaults to the RERANKER env variable; `city` narrows the localities
+ * the heuristic looks for in the query.
+ */
+export async function rerank(query, candidates, { name = process.env.RERANKER || "heuristic", city = null } = {}) {
+    const reranker = rerankers.get(name);
+    if (!reranker) {
+        throw new Error(`Unknown reranker "${name}" - expected one of ${listRerankers().join(", ")}`);
+    }
+    if (candidates.length === 0) return [];
+
+    let scored;
+    try {
+        scored = await reranker.rerank(query, candidates, { city });
+    } catch (error) {
+        // A remote re-ranker being down shouldn't take confirmation down with it
+        if (reranker === heuristicReranker) throw error;
+        console.warn(`⚠️  ${reranker.name} reranker failed, falling back to heuristic:`, error.message);
+        const fallback = await rerank(query, candidates, { name: heuristicReranker.name, city });
+        return fallback.map(hit => ({ ...hit, rerankerFallback: reranker.name }));
+    }
+    return scored
+        .map(hit => ({ ...hit, reranker: reranker.name }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+}
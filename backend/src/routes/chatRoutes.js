@@ -1,11 +1,32 @@
 import express from "express";
 import { parseIntentStructured, parseIntentFromAudio, textToSpeech, voiceToVoice, embedText } from "../genaiClient.js";
-import { vectorSearch, fuzzyMatchHospital, hybridSearch } from "../qdrantClient.js";
+import { vectorSearch, fuzzyMatchHospital, hybridSearch, nearbyHospitals, getPoint, countByCity } from "../qdrantClient.js";
+import { cityVariants, sameCity } from "../normalize.js";
+import { HOSPITALS_COLLECTION } from "../collections.js";
+import { rerank, extractLocationTerms, extractMainHospitalName } from "../rerankers.js";
+import { locatePlace } from "../geocoders.js";
+import { networkStatus, withNetworkDate, formatNetworkDate, parseNetworkDate, todayIso } from "../networkDates.js";
+import { normalizePlanId, withPlan, inPlan } from "../networkPlans.js";
+import { getSessionStore, createSession } from "../sessionStores.js";
 import Twilio from "twilio";
 
 const router = express.Router();
-const COLLECTION = "hospitals";
-const sessions = new Map();
+
+// "Nearby" looks this far first and widens once if nothing is in range
+const NEARBY_RADII_KM = [10, 50];
+
+// The stored conversation for `sessionId`, or a new one; the member's plan is kept once a message sends it
+async function openSession(sessionId, plan = null) {
+    const session = (await getSessionStore().get(sessionId)) || createSession(sessionId);
+    if (plan) session.plan = normalizePlanId(plan);
+    return session;
+}
+
+// Add the assistant's reply to the transcript and store the session with it
+async function recordReply(session, text) {
+    session.messages.push({ role: "assistant", text });
+    await getSessionStore().save(session);
+}
 
 //Optionally notify human via Twilio
 async function notifyHuman(reqText) {
@@ -23,24 +44,28 @@ async function notifyHuman(reqText) {
 }
 
 // Enhanced hospital search with better city matching
-async function searchHospitals(city = null, limit = 3) {
+// `exclude` lists hospitals already shown, so "more" continues past them
+async function searchHospitals(city = null, limit = 3, plan = null, exclude = []) {
     let results;
+    const filter = withPlan(withNetworkDate(null), plan);
+    const topK = limit + exclude.length;
 
     if (city) {
         const searchQuery = `hospitals in ${city}`;
         const vec = await embedText(searchQuery);
-        results = await hybridSearch(COLLECTION, vec, limit, city);
+        results = await hybridSearch(HOSPITALS_COLLECTION, vec, topK, city, { queryText: searchQuery, filter });
     } else {
         const vec = await embedText("hospitals");
-        results = await vectorSearch(COLLECTION, vec, limit);
+        results = await vectorSearch(HOSPITALS_COLLECTION, vec, topK, filter);
     }
 
-    const hits = results?.result ?? results;
+    const hits = (results?.result ?? results ?? []).filter(h => !exclude.includes(h.id));
 
-    return (hits || [])
+    return hits.slice(0, limit)
         .map(h => {
             const p = h?.payload || {};
             return {
+                id: h.id,
                 name: p.name?.trim() || "Unknown",
                 address: p.address?.trim() || "N/A",
                 city: p.city?.trim() || "N/A",
@@ -50,43 +75,94 @@ async function searchHospitals(city = null, limit = 3) {
         .filter(it => it.name !== "Unknown");
 }
 
-//Enhanced hospital name similarity scoring
-function calculateNameSimilarity(searchName, hospitalName) {
-    const search = searchName.toLowerCase().trim();
-    const hospital = hospitalName.toLowerCase().trim();
-
-    if (search === hospital) return 1.0;
-
-    if (hospital.includes(search) || search.includes(hospital)) return 0.9;
+// Closest hospitals to the place in a "nearby" intent, or to the device location sent with the message,
+// after the ones in `intent.exclude` when the user asked for more
+async function findNearby(intent, deviceLocation = null, plan = null) {
+    const limit = intent.limit || 3;
+    const exclude = intent.exclude || [];
+    const named = intent.pincode || intent.locality;
+    const useDevice = !named && Number.isFinite(deviceLocation?.lat) && Number.isFinite(deviceLocation?.lon);
+    const center = await locatePlace({
+        lat: useDevice ? deviceLocation.lat : null,
+        lon: useDevice ? deviceLocation.lon : null,
+        pincode: intent.pincode || null,
+        locality: intent.locality || null,
+        city: intent.city || null
+    });
 
-    const searchWords = search.split(/\s+/);
-    const hospitalWords = hospital.split(/\s+/);
+    if (!center) {
+        return { reply: "Which area or PIN code should I look near?", items: [] };
+    }
 
-    let matchedWords = 0;
-    for (const searchWord of searchWords) {
-        for (const hospitalWord of hospitalWords) {
-            if (hospitalWord.includes(searchWord) || searchWord.includes(hospitalWord)) {
-                matchedWords++;
-                break;
-            }
-        }
+    // A geocoder may place a bare city name at an address or approximate point rather than its centre
+    const place = center.precision === "exact" ? "you"
+        : center.precision === "city" ? `the centre of ${intent.city}`
+            : named || intent.city;
+    for (const radiusKm of NEARBY_RADII_KM) {
+        const { result } = await nearbyHospitals(HOSPITALS_COLLECTION, center, { radiusKm, limit: limit + exclude.length, filter: withPlan(withNetworkDate(null), plan) });
+        const hits = result.filter(h => !exclude.includes(h.id)).slice(0, limit);
+        if (hits.length === 0) continue;
+
+        const items = hits.map(h => ({
+            id: h.id,
+            name: h.payload?.name?.trim() || "Unknown",
+            address: h.payload?.address?.trim() || "N/A",
+            city: h.payload?.city?.trim() || "N/A",
+            distanceKm: h.distanceKm
+        }));
+        const reply = `The ${exclude.length > 0 ? "next " : ""}closest network hospital${items.length !== 1 ? "s" : ""} to ${place}: ` +
+            items.map(it => `${it.name} (${it.distanceKm} km)`).join(", ");
+        return { reply, items };
     }
 
-    const wordMatchScore = matchedWords / Math.max(searchWords.length, hospitalWords.length);
+    const within = `within ${NEARBY_RADII_KM[NEARBY_RADII_KM.length - 1]} km of ${place}`;
+    return { reply: exclude.length > 0 ? `There are no more network hospitals ${within}.` : `I couldn't find any network hospitals ${within}.`, items: [] };
+}
 
-    const keyTermBonus = searchWords.some(word =>
-        hospitalWords.some(hWord => hWord.includes(word) && word.length >= 4)
-    ) ? 0.2 : 0;
+/**
+ * Answer for a confirmed hospital on `date`, or today when the user didn't
+ * name a day: in network, in the network but not on the member's `plan`,
+ * already left ("was in your network until ..."), between two periods in
+ * network, or not yet joined.
+ */
+function coverageReply(hospital, date = null, plan = null) {
+    const today = todayIso();
+    const place = `${hospital.name} at ${hospital.address}, ${hospital.city}`;
+    const status = networkStatus(hospital, date || today);
+    const past = !!date && date < today;
+    const on = date ? ` on ${formatNetworkDate(date)}` : "";
+
+    if (status.inNetwork && !inPlan(hospital, plan)) {
+        return `${place} ${past ? "was" : "is"} in our network${on}, but not on your ${plan} plan - it's only covered on ${hospital.plans.join(", ")}.`;
+    }
+    if (status.inNetwork) {
+        const until = status.effectiveTo && status.effectiveTo !== date ? `, until ${formatNetworkDate(status.effectiveTo)}` : "";
+        return `Yes, ${place} ${past ? "was" : "is"} in your network${on}${until}.`;
+    }
+    if (status.reason === "ended") {
+        return `${place} was in your network until ${formatNetworkDate(status.effectiveTo)}, so it ${past ? "wasn't" : "isn't"} covered${on || " any more"}.`;
+    }
+    const joins = status.effectiveFrom <= today ? "joined" : "joins";
+    if (status.previousEffectiveTo) {
+        return `${place} was in your network until ${formatNetworkDate(status.previousEffectiveTo)} and re${joins} it on ${formatNetworkDate(status.effectiveFrom)}, so it ${past ? "wasn't" : "isn't"} covered${on || " yet"}.`;
+    }
+    return `${place} ${joins} your network on ${formatNetworkDate(status.effectiveFrom)}, so it ${past ? "wasn't" : "isn't"} covered${on || " yet"}.`;
+}
 
-    return Math.min(1.0, wordMatchScore + keyTermBonus);
+// Matches the confirm flow found, each with its network status on `date` and whether the member's plan covers it
+function withNetworkStatus(matches, date = null, plan = null) {
+    return matches.map(match => ({ ...match, network: networkStatus(match.payload, date || todayIso()), inPlan: inPlan(match.payload, plan) }));
 }
 
 //Enhanced hospital confirmation with better fuzzy matching
-async function confirmHospital(hospitalName, city) {
+// Candidates include hospitals that have left the network, so past dates can still be answered,
+// and hospitals outside the member's plan, so the reply can say so instead of "not found".
+// With a `plan`, a hospital it covers goes first when it matches as well as the best one.
+async function confirmHospital(hospitalName, city, plan = null) {
     try {
 
-        const locationTerms = extractLocationTerms(hospitalName);
-        const mainHospitalName = extractMainHospitalName(hospitalName);
+        const locationTerms = await extractLocationTerms(hospitalName, city);
+        const mainHospitalName = await extractMainHospitalName(hospitalName, city);
 
         console.log(`Searching for: "${hospitalName}" -> Main: "${mainHospitalName}", Location: "${locationTerms.join(', ')}", City: "${city}"`);
 
@@ -102,7 +178,7 @@ async function confirmHospital(hospitalName, city) {
         for (const query of searchQueries) {
             try {
                 const vec = await embedText(query);
-                const semanticResults = await hybridSearch(COLLECTION, vec, 15, city);
+                const semanticResults = await hybridSearch(HOSPITALS_COLLECTION, vec, 15, city, { queryText: query });
 
                 if (semanticResults?.result) {
                     for (const hit of semanticResults.result) {
@@ -119,7 +195,8 @@ async function confirmHospital(hospitalName, city) {
         }
 
         try {
-            const fuzzyResults = await fuzzyMatchHospital(COLLECTION, hospitalName);
+            // Every keyword match is fetched: scroll order is arbitrary, so only the re-ranker may cut the list down
+            const fuzzyResults = await fuzzyMatchHospital(HOSPITALS_COLLECTION, hospitalName);
             if (fuzzyResults?.result) {
                 for (const hit of fuzzyResults.result) {
                     const key = `${hit.payload?.name}|${hit.payload?.city}|${hit.payload?.address}`;
@@ -135,22 +212,8 @@ async function confirmHospital(hospitalName, city) {
 
         let cityFiltered = filterByCity(allResults, city);
 
-        const scoredResults = cityFiltered.map(hit => {
-            const scoring = calculateEnhancedSimilarity(
-                hospitalName,
-                mainHospitalName,
-                locationTerms,
-                hit.payload
-            );
-
-            return {
-                ...hit,
-                ...scoring,
-                totalSimilarity: scoring.totalScore
-            };
-        });
-
-        scoredResults.sort((a, b) => b.totalSimilarity - a.totalSimilarity);
+        const reranked = await rerank(hospitalName, cityFiltered, { city });
+        const scoredResults = reranked.map(hit => ({ ...hit, totalSimilarity: hit.rerankScore }));
 
         const goodMatches = scoredResults.filter(hit => hit.totalSimilarity >= 0.25);
 
@@ -163,14 +226,17 @@ async function confirmHospital(hospitalName, city) {
                 address: m.payload?.address,
                 city: m.payload?.city,
                 totalScore: m.totalSimilarity,
-                breakdown: {
-                    nameScore: m.nameScore,
-                    locationScore: m.locationScore,
-                    addressScore: m.addressScore
-                }
+                reranker: m.reranker,
+                breakdown: m.scoreBreakdown
             }))
         });
 
+        if (plan) {
+            // Branches of one chain can tie; prefer the one the member can use
+            const bestScore = goodMatches[0]?.totalSimilarity ?? 0;
+            goodMatches.sort((a, b) => planPreference(b, plan, bestScore) - planPreference(a, plan, bestScore));
+        }
+
         return goodMatches.slice(0, 3);
 
     } catch (error) {
@@ -179,229 +245,256 @@ async function confirmHospital(hospitalName, city) {
     }
 }
 
-//Extract location terms from hospital name (e.g., "Sarjapur", "Jayanagar")
-function extractLocationTerms(hospitalName) {
-    const name = hospitalName.toLowerCase();
-    const locationTerms = [];
-
-    const locationPatterns = [
-        /\b(sarjapur|jayanagar|bannerghatta|whitefield|koramangala|indiranagar|malleshwaram|rajajinagar|hebbal|marathahalli|electronic city|silk board|btm|hsr|jp nagar|mg road|brigade road|commercial street)\b/gi,
-        /\b(\w+)\s+(road|street|cross|layout|nagar|pura)\b/gi,
-        /\b(old|new)\s+(\w+)\b/gi
-    ];
-
-    for (const pattern of locationPatterns) {
-        const matches = name.match(pattern);
-        if (matches) {
-            locationTerms.push(...matches.map(m => m.trim()));
-        }
-    }
-
-    return [...new Set(locationTerms)];
+function planPreference(hit, plan, bestScore) {
+    return hit.totalSimilarity >= bestScore && inPlan(hit.payload, plan) ? 1 : 0;
 }
 
-//Extract main hospital name by removing common suffixes and location terms
-function extractMainHospitalName(hospitalName) {
-    let mainName = hospitalName.toLowerCase();
+// Enhanced city filtering with better location matching
+function filterByCity(results, city) {
+    if (!city) return results;
+
+    const variants = cityVariants(city);
 
-    mainName = mainName.replace(/\s+(sarjapur|jayanagar|bannerghatta|whitefield|koramangala|indiranagar|malleshwaram|rajajinagar|hebbal|marathahalli|electronic city|silk board|btm|hsr|jp nagar|mg road|brigade road|commercial street).*$/gi, '');
-    mainName = mainName.replace(/\s+\w+\s+(road|street|cross|layout|nagar|pura).*$/gi, '');
-    mainName = mainName.replace(/\s+(hospital|medical center|clinic)s?$/gi, '');
+    return results.filter(h => {
+        if (sameCity(h.payload?.city, city)) return true;
 
-    return mainName.trim();
+        const resultAddress = (h.payload?.address || "").toLowerCase();
+        return variants.some(variant => resultAddress.includes(variant));
+    });
 }
 
-// Calculate enhanced similarity with weighted components
-function calculateEnhancedSimilarity(originalQuery, mainName, locationTerms, payload) {
-    const hospitalName = payload?.name || "";
-    const hospitalAddress = payload?.address || "";
-    const hospitalCity = payload?.city || "";
+// Earlier messages the intent parser sees when resolving a follow-up
+const CONTEXT_MESSAGES = 6;
+// Requests that list hospitals, which "more" can continue
+const LIST_ACTIONS = ["search", "nearby"];
+// What is remembered of a request for the next one to follow up on
+const INTENT_FIELDS = ["action", "city", "limit", "pincode", "locality", "hospital_name", "date"];
 
-    const nameScore = calculateNameSimilarity(mainName, hospitalName) * 0.4;
-
-    let locationScore = 0;
-    if (locationTerms.length > 0) {
-        const addressLower = hospitalAddress.toLowerCase();
-        const nameLower = hospitalName.toLowerCase();
+// What the intent parser needs to resolve a follow-up (see parseIntentStructured)
+function conversationContext(session) {
+    return {
+        messages: session.messages.slice(-CONTEXT_MESSAGES),
+        intent: session.context?.intent || null,
+        hospitals: session.context?.hospitals || []
+    };
+}
 
-        let matchedTerms = 0;
-        for (const term of locationTerms) {
-            const termLower = term.toLowerCase();
-            if (addressLower.includes(termLower) || nameLower.includes(termLower)) {
-                matchedTerms++;
-            }
-            else if (termLower.length > 4) {
-                const termParts = termLower.split(/[\s-]+/);
-                for (const part of termParts) {
-                    if (part.length >= 3 && (addressLower.includes(part) || nameLower.includes(part))) {
-                        matchedTerms += 0.5;
-                        break;
-                    }
-                }
-            }
+/**
+ * Fill in what a follow-up leaves to the conversation: `ref` picks a hospital
+ * from the last list shown (null when there is no such position), and `more`
+ * continues the previous search or nearby list, with `exclude` holding the
+ * hospitals already shown.
+ */
+function resolveFollowUp(intent, session) {
+    const context = session.context || {};
+    const resolved = { ...intent };
+    if (intent.ref) resolved.hospital = context.hospitals?.[intent.ref - 1] || null;
+
+    const previous = context.intent;
+    if (intent.more && previous && LIST_ACTIONS.includes(previous.action)) {
+        resolved.action = previous.action;
+        for (const field of ["city", "pincode", "locality"]) {
+            if (!resolved[field] && previous[field]) resolved[field] = previous[field];
         }
-        locationScore = Math.min(1.0, matchedTerms / locationTerms.length) * 0.35;
+        resolved.limit = intent.limit || previous.limit;
+        resolved.exclude = context.shown || [];
     }
+    return resolved;
+}
 
-    const addressScore = calculateAddressSimilarity(originalQuery, hospitalAddress) * 0.15;
+function toListed(hit) {
+    return { id: hit.id, name: hit.payload?.name, address: hit.payload?.address, city: hit.payload?.city };
+}
 
-    const overallNameScore = calculateNameSimilarity(originalQuery, hospitalName) * 0.1;
+// Remember the request just answered and the hospitals it listed, so the next message can refer back to them
+function rememberTurn(session, intent, hospitals) {
+    const listed = hospitals.map(h => ({ id: h.id, name: h.name, address: h.address, city: h.city }));
+    session.context = {
+        intent: Object.fromEntries(INTENT_FIELDS.filter(field => intent[field] !== undefined && intent[field] !== null).map(field => [field, intent[field]])),
+        hospitals: listed,
+        shown: [...(intent.exclude || []), ...listed.map(h => h.id)]
+    };
+}
 
-    const totalScore = nameScore + locationScore + addressScore + overallNameScore;
+function missingRefReply(session) {
+    const count = session.context?.hospitals?.length || 0;
+    return count > 0
+        ? `I only listed ${count} hospital${count !== 1 ? "s" : ""}. Which one do you mean?`
+        : "Which hospital do you mean?";
+}
 
-    return {
-        nameScore,
-        locationScore,
-        addressScore,
-        overallNameScore,
-        totalScore,
-        matchDetails: {
-            mainName,
-            locationTerms,
-            hospitalName,
-            hospitalAddress
-        }
-    };
+// Answer a question about one of a hospital's details from its payload
+function detailsReply(hospital, detail = null) {
+    const name = hospital.name;
+    switch (detail) {
+        case "cashless":
+            if (typeof hospital.cashless !== "boolean") return `I don't have cashless details for ${name}.`;
+            return hospital.cashless ? `Yes, ${name} offers cashless treatment.` : `No, ${name} doesn't offer cashless treatment.`;
+        case "phone":
+            return hospital.phone ? `You can reach ${name} on ${hospital.phone}.` : `I don't have a phone number for ${name}.`;
+        case "specialities":
+            return hospital.specialities?.length ? `${name} lists ${hospital.specialities.join(", ")}.` : `I don't have the specialities of ${name}.`;
+        case "tier":
+            return hospital.tier ? `${name} is listed as ${hospital.tier}.` : `I don't have a tier for ${name}.`;
+        default:
+            return `${name} is at ${hospital.address}, ${hospital.city}.`;
+    }
 }
 
-// Calculate address similarity based on key terms
-function calculateAddressSimilarity(query, address) {
-    const queryLower = query.toLowerCase();
-    const addressLower = address.toLowerCase();
+async function answerConfirm(intent, session) {
+    if (intent.ref && !intent.hospital) return { reply: missingRefReply(session) };
 
-    const queryTerms = queryLower.split(/\s+/).filter(term =>
-        term.length >= 3 &&
-        !['hospital', 'medical', 'center', 'clinic', 'the', 'and', 'of', 'in', 'at', 'on'].includes(term)
-    );
+    // A hospital picked from the last list is already identified, so it is looked up rather than searched for
+    if (intent.hospital) {
+        const point = await getPoint(HOSPITALS_COLLECTION, intent.hospital.id);
+        if (point) {
+            return { reply: coverageReply(point.payload, intent.date, session.plan), items: withNetworkStatus([point], intent.date, session.plan) };
+        }
+    }
 
-    let matchCount = 0;
-    for (const term of queryTerms) {
-        if (addressLower.includes(term)) {
-            matchCount++;
+    const hospitalName = intent.hospital_name || intent.hospital?.name || "";
+    const city = intent.city || "";
+    if (!hospitalName) return { reply: "Which hospital would you like me to check?" };
+
+    const matches = await confirmHospital(hospitalName, city, session.plan);
+
+    let reply;
+    if (matches.length > 0) {
+        const best = matches[0].payload || {};
+        const similarity = matches[0].totalSimilarity || 0;
+
+        if (similarity >= 0.7) {
+            reply = coverageReply(best, intent.date, session.plan);
+        }
+        else if (similarity >= 0.4) {
+            reply = `I found ${best.name} at ${best.address}, ${best.city}. Is this the hospital you're looking for?`;
         }
+        else {
+            const alternativeNames = matches.slice(0, 2).map(m => m.payload.name).join(", ");
+            reply = `I couldn't find an exact match for "${hospitalName}"${city ? ` in ${city}` : ""}. Did you mean: ${alternativeNames}?`;
+        }
+    } else {
+        const cityText = city ? ` in ${city}` : "";
+        reply = `I could not find "${hospitalName}"${cityText} in the network. Could you check the spelling or try a different name?`;
     }
 
-    return queryTerms.length > 0 ? matchCount / queryTerms.length : 0;
+    rememberTurn(session, intent, matches.map(toListed));
+    return { reply, items: withNetworkStatus(matches, intent.date, session.plan) };
 }
 
-// Enhanced city filtering with better location matching
-function filterByCity(results, city) {
-    if (!city) return results;
+async function answerDetails(intent, session) {
+    if (intent.ref && !intent.hospital) return { reply: missingRefReply(session) };
+
+    let hospital = null;
+    if (intent.hospital) {
+        hospital = await getPoint(HOSPITALS_COLLECTION, intent.hospital.id);
+    } else if (intent.hospital_name) {
+        const [best] = await confirmHospital(intent.hospital_name, intent.city || "", session.plan);
+        if (best && best.totalSimilarity >= 0.7) {
+            hospital = best;
+            rememberTurn(session, intent, [toListed(best)]);
+        }
+    }
 
-    const cityLower = city.toLowerCase();
+    if (!hospital) return { reply: "Which hospital would you like to know about?" };
+    return { reply: detailsReply(hospital.payload, intent.detail), items: [hospital] };
+}
 
-    return results.filter(h => {
-        const resultCity = (h.payload?.city || "").toLowerCase();
-        const resultAddress = (h.payload?.address || "").toLowerCase();
+async function answerSearch(intent, session) {
+    const city = intent.city?.trim() || null;
+    const limit = intent.limit || 3;
+    const more = !!intent.exclude;
+
+    const items = await searchHospitals(city, limit, session.plan, intent.exclude);
+    // A first page of a city's hospitals says how many there are in all
+    const total = city && !more && items.length > 0 ? await countCityHospitals(city, session.plan) : null;
+
+    let summary;
+    if (items.length === 0) {
+        if (more) summary = `There are no more hospitals${city ? ` in ${city}` : ""}.`;
+        else summary = city ? `I couldn't find any hospitals in ${city}.` : "I couldn't find any hospitals.";
+    } else if (total !== null && total > items.length) {
+        summary = `Here ${items.length !== 1 ? "are" : "is"} ${items.length} of the ${total} hospitals in ${city}: ` +
+            items.map(it => `${it.name} in ${it.city}`).join(", ");
+    } else {
+        summary = `Here ${items.length !== 1 ? "are" : "is"} ${items.length} ${more ? "more " : ""}hospital${items.length !== 1 ? "s" : ""}`;
+        if (city) summary += ` in ${city}`;
+        summary += ": " + items.map(it => `${it.name} in ${it.city}`).join(", ");
+    }
 
-        if (resultCity === cityLower) return true;
+    rememberTurn(session, intent, items);
+    return { reply: summary, items };
+}
 
-        if (resultCity.includes(cityLower) || resultAddress.includes(cityLower)) return true;
+// Network hospitals in `city` on `date` (today by default), on the member's plan when there is one
+async function countCityHospitals(city, plan = null, date = null) {
+    return countByCity(HOSPITALS_COLLECTION, city, withPlan(withNetworkDate(null, date || todayIso()), plan));
+}
 
-        if (cityLower.includes(resultCity) && resultCity.length >= 3) return true;
+async function answerCount(intent, session) {
+    const city = intent.city?.trim() || null;
+    if (!city) return { reply: "Which city should I count network hospitals in?" };
 
-        const cityMappings = {
-            'bangalore': ['bengaluru', 'banglore'],
-            'bengaluru': ['bangalore', 'banglore'],
-            'mumbai': ['bombay'],
-            'bombay': ['mumbai'],
-            'delhi': ['new delhi'],
-            'new delhi': ['delhi']
-        };
+    const count = await countCityHospitals(city, session.plan, intent.date);
+    const on = intent.date ? ` on ${formatNetworkDate(intent.date)}` : "";
+    const onPlan = session.plan ? ` on your ${session.plan} plan` : "";
+    rememberTurn(session, intent, []);
+    return { reply: `There ${count !== 1 ? "are" : "is"} ${count} network hospital${count !== 1 ? "s" : ""} in ${city}${onPlan}${on}.`, items: [] };
+}
 
-        const variations = cityMappings[cityLower] || [];
-        return variations.some(variation =>
-            resultCity.includes(variation) || resultAddress.includes(variation)
-        );
-    });
+/**
+ * Reply to a parsed and resolved request: { reply, items }, or null for an
+ * action chat doesn't answer. Requests that list hospitals are remembered in
+ * the session so follow-ups can refer to them.
+ */
+async function answerIntent(intent, session, location = null) {
+    if (intent.action === "confirm") return answerConfirm(intent, session);
+    if (intent.action === "details") return answerDetails(intent, session);
+    if (intent.action === "search") return answerSearch(intent, session);
+    if (intent.action === "count") return answerCount(intent, session);
+    if (intent.action === "nearby") {
+        const answer = await findNearby(intent, location, session.plan);
+        rememberTurn(session, intent, answer.items);
+        return answer;
+    }
+    return null;
 }
 
 router.post("/chat", async (req, res) => {
     try {
-        const { sessionId, text } = req.body;
+        const { sessionId, text, location, plan } = req.body;
         if (!sessionId || !text) return res.status(400).json({ error: "sessionId and text required" });
 
-        if (!sessions.has(sessionId)) sessions.set(sessionId, []);
-        const session = sessions.get(sessionId);
+        const session = await openSession(sessionId, plan);
+        const context = conversationContext(session);
 
-        if (session.length === 0) {
+        if (session.messages.length === 0) {
             const intro = "Hello! I'm Loop AI, your hospital network assistant. How can I help you today?";
             const { audioBase64 } = await textToSpeech(intro);
-            session.push({ role: "assistant", text: intro });
+            session.messages.push({ role: "assistant", text: intro });
         }
 
-        session.push({ role: "user", text });
+        session.messages.push({ role: "user", text });
 
-        const intent = await parseIntentStructured(text);
+        const intent = await parseIntentStructured(text, context);
 
         if (!intent || intent.action === "out_of_scope") {
             await notifyHuman(text);
             const reply = "I'm sorry, I can't help with that. Forwarding to a human agent.";
             const { audioBase64 } = await textToSpeech(reply);
-            session.push({ role: "assistant", text: reply });
+            await recordReply(session, reply);
             return res.json({ reply, audioBase64, contentType: "audio/wav" });
         }
 
-        if (intent.action === "confirm") {
-            const hospitalName = intent.hospital_name || "";
-            const city = intent.city || "";
-
-            if (!hospitalName) {
-                const reply = "Which hospital would you like me to check?";
-                const { audioBase64 } = await textToSpeech(reply);
-                session.push({ role: "assistant", text: reply });
-                return res.json({ reply, audioBase64, contentType: "audio/wav" });
-            }
-
-            const matches = await confirmHospital(hospitalName, city);
-
-            let reply;
-            if (matches.length > 0) {
-                const best = matches[0].payload || {};
-                const similarity = matches[0].totalSimilarity || 0;
-
-                if (similarity >= 0.7) {
-                    reply = `Yes, ${best.name} at ${best.address}, ${best.city} is in your network.`;
-                }
-                else if (similarity >= 0.4) {
-                    reply = `I found ${best.name} at ${best.address}, ${best.city}. Is this the hospital you're looking for?`;
-                }
-                else {
-                    const alternativeNames = matches.slice(0, 2).map(m => m.payload.name).join(", ");
-                    reply = `I couldn't find an exact match for "${hospitalName}"${city ? ` in ${city}` : ""}. Did you mean: ${alternativeNames}?`;
-                }
-            } else {
-                const cityText = city ? ` in ${city}` : "";
-                reply = `I could not find "${hospitalName}"${cityText} in the network. Could you check the spelling or try a different name?`;
-            }
-
-            const { audioBase64 } = await textToSpeech(reply);
-            session.push({ role: "assistant", text: reply });
-            return res.json({ reply, audioBase64, contentType: "audio/wav", items: matches });
-        }
-        if (intent.action === "search") {
-            const city = intent.city?.trim() || null;
-            const limit = intent.limit || 3;
-
-            const items = await searchHospitals(city, limit);
-
-            let summary;
-            if (items.length === 0) {
-                summary = city ? `I couldn't find any hospitals in ${city}.` : "I couldn't find any hospitals.";
-            } else {
-                summary = `Here ${items.length !== 1 ? "are" : "is"} ${items.length} hospital${items.length !== 1 ? "s" : ""}`;
-                if (city) summary += ` in ${city}`;
-                summary += ": " + items.map(it => `${it.name} in ${it.city}`).join(", ");
-            }
-
-            const { audioBase64 } = await textToSpeech(summary);
-            session.push({ role: "assistant", text: summary });
-
-            return res.json({ reply: summary, audioBase64, contentType: "audio/wav", items });
+        const answer = await answerIntent(resolveFollowUp(intent, session), session, location);
+        if (answer) {
+            const { audioBase64 } = await textToSpeech(answer.reply);
+            await recordReply(session, answer.reply);
+            return res.json({ reply: answer.reply, audioBase64, contentType: "audio/wav", items: answer.items });
         }
         const fallback = "Sorry, I couldn't process that request.";
         const { audioBase64 } = await textToSpeech(fallback);
-        session.push({ role: "assistant", text: fallback });
+        await recordReply(session, fallback);
         return res.json({ reply: fallback, audioBase64, contentType: "audio/wav" });
 
     } catch (err) {
@@ -410,90 +503,89 @@ router.post("/chat", async (req, res) => {
     }
 });
 
+// Confirm a hospital directly, optionally as of a past date such as the day of an admission
+// and for the member's plan
+router.post("/confirm", async (req, res) => {
+    try {
+        const { hospitalName, city = "", date = null } = req.body;
+        const plan = normalizePlanId(req.body.plan);
+        if (!hospitalName) return res.status(400).json({ error: "hospitalName required" });
+
+        const asOf = date ? parseNetworkDate(date) : null;
+        if (date && !asOf) return res.status(400).json({ error: "date must be a date (YYYY-MM-DD)" });
+
+        const matches = await confirmHospital(hospitalName, city, plan);
+        const best = matches[0];
+        return res.json({
+            asOf: asOf || todayIso(),
+            plan,
+            reply: best && best.totalSimilarity >= 0.7 ? coverageReply(best.payload, asOf, plan) : null,
+            matches: withNetworkStatus(matches, asOf, plan)
+        });
+    } catch (err) {
+        console.error("confirm error", err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// A conversation's transcript and plan, until it expires
+router.get("/sessions/:sessionId", async (req, res) => {
+    try {
+        const session = await getSessionStore().get(req.params.sessionId);
+        if (!session) return res.status(404).json({ error: "session not found" });
+        res.json(session);
+    } catch (err) {
+        console.error("session error", err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Forget a conversation, e.g. when the member asks for their transcript to be wiped
+router.delete("/sessions/:sessionId", async (req, res) => {
+    try {
+        const deleted = await getSessionStore().delete(req.params.sessionId);
+        if (!deleted) return res.status(404).json({ error: "session not found" });
+        res.json({ deleted: true });
+    } catch (err) {
+        console.error("session error", err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
 router.post("/voice-chat", async (req, res) => {
     try {
-        const { sessionId, audioBase64 } = req.body;
+        const { sessionId, audioBase64, location, plan } = req.body;
         if (!sessionId || !audioBase64) {
             return res.status(400).json({ error: "sessionId and audioBase64 required" });
         }
 
-        if (!sessions.has(sessionId)) sessions.set(sessionId, []);
-        const session = sessions.get(sessionId);
-        if (session.length === 0) {
+        const session = await openSession(sessionId, plan);
+        const context = conversationContext(session);
+        if (session.messages.length === 0) {
             const intro = "Hello! I'm Loop AI, your hospital network assistant. How can I help you today?";
             const { audioBase64: introAudio } = await textToSpeech(intro);
-            session.push({ role: "assistant", text: intro });
+            session.messages.push({ role: "assistant", text: intro });
         }
-        const intent = await parseIntentFromAudio(audioBase64);
-        session.push({ role: "user", text: `[Audio Input - Intent: ${intent.action}]` });
+        const intent = await parseIntentFromAudio(audioBase64, context);
+        session.messages.push({ role: "user", text: intent.transcript || `[Audio Input - Intent: ${intent.action}]` });
 
         if (!intent || intent.action === "out_of_scope") {
             await notifyHuman("[Audio Input - Out of Scope]");
             const reply = "I'm sorry, I can't help with that. Forwarding to a human agent.";
             const { audioBase64: replyAudio } = await textToSpeech(reply);
-            session.push({ role: "assistant", text: reply });
+            await recordReply(session, reply);
             return res.json({ reply, audioBase64: replyAudio, contentType: "audio/wav" });
         }
 
-        if (intent.action === "confirm") {
-            const hospitalName = intent.hospital_name || "";
-            const city = intent.city || "";
-
-            if (!hospitalName) {
-                const reply = "Which hospital would you like me to check?";
-                const { audioBase64: replyAudio } = await textToSpeech(reply);
-                session.push({ role: "assistant", text: reply });
-                return res.json({ reply, audioBase64: replyAudio, contentType: "audio/wav" });
-            }
-
-            const matches = await confirmHospital(hospitalName, city);
-
-            let reply;
-            if (matches.length > 0) {
-                const best = matches[0].payload || {};
-                const similarity = matches[0].totalSimilarity || 0;
-                if (similarity >= 0.7) {
-                    reply = `Yes, ${best.name} at ${best.address}, ${best.city} is in your network.`;
-                }
-                else if (similarity >= 0.4) {
-                    reply = `I found ${best.name} at ${best.address}, ${best.city}. Is this the hospital you're looking for?`;
-                }
-                else {
-                    const alternativeNames = matches.slice(0, 2).map(m => m.payload.name).join(", ");
-                    reply = `I couldn't find an exact match for "${hospitalName}"${city ? ` in ${city}` : ""}. Did you mean: ${alternativeNames}?`;
-                }
-            } else {
-                const cityText = city ? ` in ${city}` : "";
-                reply = `I could not find "${hospitalName}"${cityText} in the network. Could you check the spelling or try a different name?`;
-            }
-
-            const { audioBase64: replyAudio } = await textToSpeech(reply);
-            session.push({ role: "assistant", text: reply });
-            return res.json({ reply, audioBase64: replyAudio, contentType: "audio/wav", items: matches });
-        }
-        if (intent.action === "search") {
-            const city = intent.city?.trim() || null;
-            const limit = intent.limit || 3;
-
-            const items = await searchHospitals(city, limit);
-
-            let summary;
-            if (items.length === 0) {
-                summary = city ? `I couldn't find any hospitals in ${city}.` : "I couldn't find any hospitals.";
-            } else {
-                summary = `Here ${items.length !== 1 ? "are" : "is"} ${items.length} hospital${items.length !== 1 ? "s" : ""}`;
-                if (city) summary += ` in ${city}`;
-                summary += ": " + items.map(it => `${it.name} in ${it.city}`).join(", ");
-            }
-
-            const { audioBase64: replyAudio } = await textToSpeech(summary);
-            session.push({ role: "assistant", text: summary });
-
-            return res.json({ reply: summary, audioBase64: replyAudio, contentType: "audio/wav", items });
+        const answer = await answerIntent(resolveFollowUp(intent, session), session, location);
+        if (answer) {
+            const { audioBase64: replyAudio } = await textToSpeech(answer.reply);
+            await recordReply(session, answer.reply);
+            return res.json({ reply: answer.reply, audioBase64: replyAudio, contentType: "audio/wav", items: answer.items });
         }
         const fallback = "Sorry, I couldn't understand that request.";
         const { audioBase64: replyAudio } = await textToSpeech(fallback);
-        session.push({ role: "assistant", text: fallback });
+        await recordReply(session, fallback);
         return res.json({ reply: fallback, audioBase64: replyAudio, contentType: "audio/wav" });
 
     } catch (err) {
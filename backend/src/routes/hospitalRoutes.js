@@ -0,0 +1,137 @@
+import express from "express";
+import { getPoint } from "../qdrantClient.js";
+import { HOSPITALS_COLLECTION } from "../collections.js";
+import { listLocalities } from "../gazetteer.js";
+import { parseHospitalInput, createHospital, updateHospital, deleteHospital, listHospitals } from "../hospitalAdmin.js";
+import { getHospitalHistory, listAuditEvents, AUDIT_ACTIONS } from "../auditLog.js";
+const router = express.Router();
+
+// Who the audit log credits with a change made through these endpoints
+function auditActor(req) {
+    return req.get("X-Audit-User") || null;
+}
+
+// Optional since/until query dates; returns an error message for dates that don't parse
+function parseTimeWindow(query) {
+    const window = { since: query.since || null, until: query.until || null };
+    for (const [name, value] of Object.entries(window)) {
+        if (value && Number.isNaN(Date.parse(value))) return { error: `${name} must be an ISO date or timestamp` };
+    }
+    return window;
+}
+
+// Page through hospitals, optionally in one city
+router.get("/hospitals", async (req, res) => {
+    try {
+        const { city = null, limit = 20, cursor = null } = req.query;
+        return res.json({ city, ...(await listHospitals({ city, limit, cursor })) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Add a single hospital; 409 with the existing record if it is already stored
+router.post("/hospitals", async (req, res) => {
+    try {
+        const { fields, errors } = parseHospitalInput(req.body);
+        if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+        const { hospital, conflict } = await createHospital(fields, { actor: auditActor(req) });
+        if (conflict) return res.status(409).json({ error: "hospital already exists", hospital: conflict });
+        return res.status(201).json(hospital);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Look up a hospital by the stable id returned in chat and search results
+router.get("/hospitals/:id", async (req, res) => {
+    try {
+        const point = await getPoint(HOSPITALS_COLLECTION, req.params.id);
+        if (!point) return res.status(404).json({ error: "hospital not found" });
+        return res.json({ id: point.id, ...point.payload });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Change some fields of a hospital; the id stays the same
+router.patch("/hospitals/:id", async (req, res) => {
+    try {
+        const { fields, errors } = parseHospitalInput(req.body, { partial: true });
+        if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+        const updated = await updateHospital(req.params.id, fields, { actor: auditActor(req) });
+        if (!updated) return res.status(404).json({ error: "hospital not found" });
+        if (updated.conflict) return res.status(409).json({ error: "another hospital has the same name, city and address", hospital: updated.conflict });
+        return res.json(updated.hospital);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+router.delete("/hospitals/:id", async (req, res) => {
+    try {
+        const delisted = await deleteHospital(req.params.id, { actor: auditActor(req) });
+        if (!delisted) return res.status(404).json({ error: "hospital not found" });
+        return res.json({ delisted: true, hospital: delisted });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Every recorded change to a hospital, oldest first; still available after it was delisted or deleted
+router.get("/hospitals/:id/history", (req, res) => {
+    try {
+        const window = parseTimeWindow(req.query);
+        if (window.error) return res.status(400).json({ error: window.error });
+
+        const events = getHospitalHistory(req.params.id, window);
+        if (events.length === 0 && !window.since && !window.until) {
+            return res.status(404).json({ error: "no history for this hospital" });
+        }
+        return res.json({ id: req.params.id, events });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Recent changes across the network, newest first
+router.get("/audit", (req, res) => {
+    try {
+        const window = parseTimeWindow(req.query);
+        if (window.error) return res.status(400).json({ error: window.error });
+
+        const { action = null, origin = null, limit = 100 } = req.query;
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of ${AUDIT_ACTIONS.join(", ")}` });
+        }
+        const pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            return res.status(400).json({ error: "limit must be a positive integer" });
+        }
+        return res.json({ events: listAuditEvents({ ...window, action, origin, limit: pageSize }) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Localities the confirm flow recognises, from localities.json plus the collection's addresses
+router.get("/localities", async (req, res) => {
+    try {
+        const city = req.query.city || null;
+        return res.json({ city, localities: await listLocalities(city) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+export default router;
@@ -1,15 +1,118 @@
+import fs from "fs";
 import express from "express";
 import multer from "multer";
+import {
+    startIngestJob,
+    getIngestJob,
+    getIngestJobBatches,
+    getIngestJobErrors,
+    getIngestJobFailedRows,
+    getIngestJobReport,
+    getIngestJobValidation,
+    getIngestJobDuplicates,
+    listIngestJobs
+} from "../ingestJobs.js";
+import { loadSourceMappings } from "../csvSchema.js";
+import { detectFormat } from "../sourceReaders.js";
+import { normalizePlanId } from "../networkPlans.js";
 const upload = multer({ dest: "/tmp" });
 const router = express.Router();
 
-// Accept a CSV file and run the ingest script.
-router.post("/upload-csv", upload.single("csv"), async (req, res) => {
+// Reply 400 and drop the temp upload that will never be ingested
+function rejectUpload(res, file, error) {
+    fs.promises.unlink(file.path).catch(() => { });
+    return res.status(400).json({ error });
+}
+
+// Accept a network file (CSV, XLSX, JSON or NDJSON) and ingest it as a background job.
+// mode=sync mirrors the file into the collection; dryRun=true only reports the diff.
+// source picks a column mapping from sourceMappings.json for partner files.
+// format overrides the file extension; sheet picks an XLSX sheet by name or 1-based index.
+// plan names the plan the file lists hospitals for.
+// The X-Audit-User header names who made the upload in the audit log.
+router.post(["/upload", "/upload-csv"], upload.fields([{ name: "file", maxCount: 1 }, { name: "csv", maxCount: 1 }]), async (req, res) => {
+    const file = req.files?.file?.[0] || req.files?.csv?.[0];
     try {
-        res.json({ message: "File received. For demo use the backend ingest script (npm run ingest)" });
+        if (!file) return res.status(400).json({ error: "file required (multipart field 'file' or 'csv')" });
+
+        let format;
+        try {
+            format = detectFormat(file.originalname, req.body.format || req.query.format || null);
+        } catch (err) {
+            return rejectUpload(res, file, err.message);
+        }
+        const sheet = req.body.sheet || req.query.sheet || null;
+
+        const mode = req.body.mode || req.query.mode || "ingest";
+        if (!["ingest", "sync"].includes(mode)) {
+            return rejectUpload(res, file, "mode must be 'ingest' or 'sync'");
+        }
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? "false") === "true";
+        const source = req.body.source || req.query.source || null;
+        if (source && !loadSourceMappings()[source]) {
+            return rejectUpload(res, file, `unknown source '${source}'`);
+        }
+
+        const plan = normalizePlanId(req.body.plan || req.query.plan);
+
+        const job = startIngestJob(file.path, {
+            filename: file.originalname,
+            source,
+            format,
+            sheet,
+            plan,
+            mode,
+            dryRun,
+            actor: req.get("X-Audit-User") || null,
+            removeFile: true
+        });
+        return res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/ingest/jobs/${job.id}` });
     } catch (err) {
         res.status(500).json({ error: String(err) });
     }
 });
 
+router.get("/jobs", (req, res) => {
+    res.json({ jobs: listIngestJobs() });
+});
+
+router.get("/jobs/:jobId", (req, res) => {
+    const job = getIngestJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "job not found" });
+    res.json(job);
+});
+
+router.get("/jobs/:jobId/batches", (req, res) => {
+    const batches = getIngestJobBatches(req.params.jobId);
+    if (!batches) return res.status(404).json({ error: "job not found" });
+    res.json({ batches });
+});
+
+router.get("/jobs/:jobId/errors", (req, res) => {
+    const errors = getIngestJobErrors(req.params.jobId);
+    if (!errors) return res.status(404).json({ error: "job not found" });
+    res.json({ errors, failedRows: getIngestJobFailedRows(req.params.jobId) });
+});
+
+router.get("/jobs/:jobId/report", (req, res) => {
+    const report = getIngestJobReport(req.params.jobId);
+    if (report === undefined) return res.status(404).json({ error: "job not found" });
+    if (!report) return res.status(409).json({ error: "report not available yet" });
+    res.json(report);
+});
+
+router.get("/jobs/:jobId/validation", (req, res) => {
+    const validation = getIngestJobValidation(req.params.jobId);
+    if (validation === undefined) return res.status(404).json({ error: "job not found" });
+    if (!validation) return res.status(409).json({ error: "validation report not available yet" });
+    res.json(validation);
+});
+
+router.get("/jobs/:jobId/duplicates", (req, res) => {
+    const duplicates = getIngestJobDuplicates(req.params.jobId);
+    if (duplicates === undefined) return res.status(404).json({ error: "job not found" });
+    if (!duplicates) return res.status(409).json({ error: "duplicate report not available yet" });
+    res.json(duplicates);
+});
+
 export default router;
@@ -1,17 +1,210 @@
+import crypto from "crypto";
 import express from "express";
 import { embedText } from "../genaiClient.js";
-import { vectorSearch } from "../qdrantClient.js";
+import { hybridSearch, nearbyHospitals, scrollMatches, countMatches, facetCounts, geoRadiusFilter } from "../qdrantClient.js";
+import { HOSPITALS_COLLECTION } from "../collections.js";
+import { rerank, listRerankers, isStableReranker } from "../rerankers.js";
+import { locatePlace } from "../geocoders.js";
+import { buildSearchFilter } from "../searchFilters.js";
+import { parseNetworkDate, withNetworkDate, todayIso } from "../networkDates.js";
 const router = express.Router();
 
-const COLLECTION = "hospitals";
+// Query results are ranked once over this many candidates and every page is cut from that list
+const RANKED_WINDOW = 50;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+// Facets a response can carry, mapped to the keyword/bool-indexed payload field they count
+const FACET_FIELDS = { city: "city_exact", tier: "tier", cashless: "cashless" };
+
+// Validate `near` and `radiusKm`, returning { near, radiusKm } or throwing with the reason
+function parseNear(near, radiusKm = DEFAULT_RADIUS_KM) {
+    if (typeof near !== "object") throw new Error("near must be an object");
+
+    const radius = Number(radiusKm);
+    if (!(radius > 0 && radius <= MAX_RADIUS_KM)) {
+        throw new Error(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    if (near.lat !== undefined || near.lon !== undefined) {
+        const lat = Number(near.lat);
+        const lon = Number(near.lon);
+        if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) {
+            throw new Error("near.lat and near.lon must be valid coordinates");
+        }
+        return { near: { lat, lon }, radiusKm: radius };
+    }
+    if (!near.pincode) throw new Error("near needs lat and lon, or pincode");
+    return { near: { pincode: String(near.pincode) }, radiusKm: radius };
+}
+
+// Cursors only continue the search they came from
+function searchFingerprint(parts) {
+    return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex").slice(0, 12);
+}
+
+function encodeCursor(fingerprint, position) {
+    return Buffer.from(JSON.stringify({ search: fingerprint, ...position })).toString("base64url");
+}
+
+function decodeCursor(cursor, fingerprint) {
+    let position = null;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch {
+        // reported below
+    }
+    if (!position || typeof position !== "object") throw new Error("invalid cursor");
+    if (position.search !== fingerprint) throw new Error("cursor belongs to a different search");
+    return position;
+}
+
+/**
+ * Keyset page over hits ordered by `sortValue` (then id, so ties keep a fixed
+ * order). `after` is the { value, id } of the last hit of the previous page;
+ * the page starts at the first hit ordered after it, so a hospital added or
+ * removed between requests doesn't shift later pages.
+ */
+function keysetPage(hits, { sortValue, descending, after, limit }) {
+    const compare = (a, b) => (descending ? b.value - a.value : a.value - b.value) || a.id.localeCompare(b.id);
+    const keyed = hits
+        .map(hit => ({ hit, value: sortValue(hit), id: String(hit.id) }))
+        .sort(compare);
+
+    const start = after ? keyed.findIndex(k => compare(k, after) > 0) : 0;
+    if (start === -1) return { results: [], next: null };
+
+    const page = keyed.slice(start, start + limit);
+    const last = page[page.length - 1];
+    const next = start + limit < keyed.length ? { value: last.value, id: last.id } : null;
+    return { results: page.map(k => k.hit), next };
+}
+
+// Counts per facet among the hospitals `filter` selects; a facet Qdrant can't compute is null
+async function searchFacets(fields, filter) {
+    const counts = await Promise.all(fields.map(async field => {
+        try {
+            return await facetCounts(HOSPITALS_COLLECTION, FACET_FIELDS[field], filter);
+        } catch (err) {
+            console.warn(`⚠️ Facet ${field} unavailable:`, err.message);
+            return null;
+        }
+    }));
+    return Object.fromEntries(fields.map((field, idx) => [field, counts[idx]]));
+}
+
+/**
+ * Semantic query: hybrid retrieval, re-ranked, paged through the ranked
+ * window. `total` counts every hospital matching the filters, as for a
+ * browse; `ranked` is the size of the window, the most that can be paged to.
+ * Each page re-ranks the window again, so a re-ranker whose order isn't
+ * stable (the llm one) only gets a first page: a cursor into a different
+ * order would skip or repeat hospitals.
+ */
+async function searchRanked({ q, cityName, reranker, filter, after, limit }) {
+    const query = cityName ? `${q} in ${cityName}` : q;
+    const vec = await embedText(query);
+    const [result, total] = await Promise.all([
+        hybridSearch(HOSPITALS_COLLECTION, vec, RANKED_WINDOW, null, { queryText: q, filter }),
+        countMatches(HOSPITALS_COLLECTION, filter)
+    ]);
+    const ranked = await rerank(q, result.result ?? [], { name: reranker, city: cityName });
+
+    const page = keysetPage(ranked, { sortValue: hit => hit.rerankScore, descending: true, after, limit });
+    const next = isStableReranker(reranker) ? page.next : null;
+    return { ...page, next, total, ranked: ranked.length, scope: filter };
+}
+
+// Nearest hospitals to `near`, optionally narrowed by filters and name, paged by distance
+async function searchNearby({ q, near, radiusKm, filter, after, limit }) {
+    const center = await locatePlace({ lat: near.lat ?? null, lon: near.lon ?? null, pincode: near.pincode ?? null });
+    if (!center) return { error: `unknown pincode "${near.pincode}"` };
+
+    const must = [...(filter?.must || [])];
+    if (q) must.push({ key: "name", match: { text: q } });
+    const nameFilter = must.length > 0 ? { must } : null;
+
+    const { result, total } = await nearbyHospitals(HOSPITALS_COLLECTION, center, { radiusKm, limit: null, filter: nameFilter });
+    const page = keysetPage(result, { sortValue: hit => hit.distanceKm, descending: false, after, limit });
+    return { ...page, total, scope: geoRadiusFilter(center, radiusKm, nameFilter), center, radiusKm };
+}
+
+// No query: every hospital matching the filters, in Qdrant's stable id order
+async function searchBrowse({ filter, offset, limit }) {
+    const { result, next_page_offset } = await scrollMatches(HOSPITALS_COLLECTION, filter, { limit, offset });
+    return {
+        results: result,
+        next: next_page_offset !== null && next_page_offset !== undefined ? { offset: next_page_offset } : null,
+        total: await countMatches(HOSPITALS_COLLECTION, filter),
+        scope: filter
+    };
+}
 
 router.post("/search", async (req, res) => {
     try {
-        const { q, city, limit = 3 } = req.body;
-        const query = city ? `${q} in ${city}` : q;
-        const vec = await embedText(query);
-        const result = await vectorSearch(COLLECTION, vec, limit);
-        return res.json({ results: result.result ?? result });
+        const { q, city, plan, filters = {}, limit = 3, reranker, near, radiusKm, cursor, asOf, facets = Object.keys(FACET_FIELDS) } = req.body;
+
+        // A top-level city or plan is shorthand for filters.city or filters.plan
+        let filter;
+        let geo = null;
+        let networkDate = null;
+        try {
+            filter = buildSearchFilter(city || plan ? { ...(city && { city }), ...(plan && { plan }), ...filters } : filters);
+            if (near) geo = parseNear(near, radiusKm);
+            if (asOf !== undefined && asOf !== null) {
+                networkDate = parseNetworkDate(asOf);
+                if (!networkDate) throw new Error("asOf must be a date (YYYY-MM-DD)");
+            }
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+        }
+        if (!Array.isArray(facets) || facets.some(field => !FACET_FIELDS[field])) {
+            return res.status(400).json({ error: `facets must be a list of ${Object.keys(FACET_FIELDS).join(", ")}` });
+        }
+        if (reranker && !listRerankers().includes(reranker)) {
+            return res.status(400).json({ error: `unknown reranker "${reranker}" - expected one of ${listRerankers().join(", ")}` });
+        }
+
+        const fingerprint = searchFingerprint({ q: q || null, filter, geo, reranker: reranker || null, asOf: networkDate });
+        // Only hospitals in network on the day asked about (today by default); added after the
+        // fingerprint so a cursor for "today" keeps working past midnight
+        networkDate = networkDate || todayIso();
+        filter = withNetworkDate(filter, networkDate);
+        let position = null;
+        if (cursor) {
+            try {
+                position = decodeCursor(cursor, fingerprint);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
+        const after = position?.id !== undefined ? { value: position.value, id: position.id } : null;
+
+        let page;
+        if (geo) {
+            page = await searchNearby({ q, ...geo, filter, after, limit: pageSize });
+            if (page.error) return res.status(400).json({ error: page.error });
+        } else if (q) {
+            // Single-city searches still hint the embedding and the re-ranker's locality lookup
+            const cityName = typeof (filters?.city ?? city) === "string" ? filters?.city ?? city : null;
+            page = await searchRanked({ q, cityName, reranker, filter, after, limit: pageSize });
+        } else {
+            page = await searchBrowse({ filter, offset: position?.offset ?? null, limit: pageSize });
+        }
+
+        const { results, next, total, scope, ...extra } = page;
+        return res.json({
+            results,
+            total,
+            asOf: networkDate,
+            nextCursor: next ? encodeCursor(fingerprint, next) : null,
+            facets: await searchFacets(facets, scope),
+            ...extra
+        });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: String(err) });
@@ -0,0 +1,66 @@
+import { canonicalizeCity } from "./normalize.js";
+import { normalizePlanId, planCondition } from "./networkPlans.js";
+
+// Exact match on a keyword payload field; a list of values matches any of them
+function keywordCondition(key, values) {
+    return values.length === 1
+        ? { key, match: { value: values[0] } }
+        : { key, match: { any: values } };
+}
+
+// Case-insensitive word match on a text-indexed field; a list of values matches any of them
+function textCondition(key, values) {
+    return values.length === 1
+        ? { key, match: { text: values[0] } }
+        : { should: values.map(text => ({ key, match: { text } })) };
+}
+
+function stringValues(field, value) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(v => (typeof v !== "string" && typeof v !== "number") || String(v).trim() === "")) {
+        throw new Error(`filters.${field} must be a non-empty string or a list of them`);
+    }
+    return values.map(v => String(v).trim());
+}
+
+/**
+ * Filter fields /api/search accepts and the payload condition each becomes.
+ * City goes through the same canonicalization as ingestion, so "Bangalore"
+ * matches hospitals stored under "Bengaluru". A plan also matches hospitals
+ * stored without plans, which belong to every plan.
+ */
+const FILTER_FIELDS = {
+    city: value => keywordCondition("city_exact", stringValues("city", value).map(canonicalizeCity)),
+    pincode: value => keywordCondition("pincode", stringValues("pincode", value).map(v => v.replace(/\s+/g, ""))),
+    state: value => textCondition("state", stringValues("state", value)),
+    speciality: value => textCondition("specialities", stringValues("speciality", value)),
+    tier: value => keywordCondition("tier", stringValues("tier", value)),
+    plan: value => planCondition(stringValues("plan", value).map(normalizePlanId)),
+    cashless: value => {
+        if (typeof value !== "boolean") throw new Error("filters.cashless must be true or false");
+        return { key: "cashless", match: { value } };
+    }
+};
+
+export const SEARCH_FILTER_FIELDS = Object.keys(FILTER_FIELDS);
+
+/**
+ * Turn the `filters` object of a search request into a Qdrant filter, every
+ * field being required to match. Returns null when there is nothing to
+ * filter on and throws on unknown fields or values of the wrong type.
+ */
+export function buildSearchFilter(filters = {}) {
+    if (filters === null || typeof filters !== "object" || Array.isArray(filters)) {
+        throw new Error("filters must be an object");
+    }
+
+    const unknown = Object.keys(filters).filter(field => !FILTER_FIELDS[field]);
+    if (unknown.length > 0) {
+        throw new Error(`unknown filter field${unknown.length > 1 ? "s" : ""} ${unknown.map(f => `"${f}"`).join(", ")} - expected ${SEARCH_FILTER_FIELDS.join(", ")}`);
+    }
+
+    const must = Object.entries(filters)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([field, value]) => FILTER_FIELDS[field](value));
+    return must.length > 0 ? { must } : null;
+}
@@ -0,0 +1,153 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SESSION_FILE = process.env.SESSION_STORE_FILE || path.join(__dirname, "..", "sessions.db");
+
+// Idle time after which a conversation is forgotten; each saved turn restarts it
+const TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000;
+// In-memory store only: the least recently used sessions go first beyond this
+const MAX_SESSIONS = Number(process.env.SESSION_MAX_SESSIONS) || 1000;
+// Older messages are dropped from a transcript beyond this
+const MAX_MESSAGES = Number(process.env.SESSION_MAX_MESSAGES) || 100;
+
+export function createSession(id) {
+    const now = new Date().toISOString();
+    return { id, messages: [], plan: null, context: null, createdAt: now, updatedAt: now, expiresAt: null };
+}
+
+// Stamp a session for saving and trim its transcript
+function touch(session, ttlMs) {
+    const now = Date.now();
+    const messages = session.messages.length > MAX_MESSAGES ? session.messages.slice(-MAX_MESSAGES) : session.messages;
+    return {
+        ...session,
+        messages,
+        updatedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+    };
+}
+
+/**
+ * Sessions in a Map, for a single backend process. Expired sessions are
+ * dropped as they are found, and the least recently saved ones make
+ * room once `maxSessions` is reached. Lost on restart.
+ */
+function createMemorySessionStore({ ttlMs = TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+    // Kept in save order, so the oldest sessions are always at the front
+    const sessions = new Map();
+
+    function evictExpired() {
+        const now = new Date().toISOString();
+        for (const [id, session] of sessions) {
+            if (session.expiresAt > now) break;
+            sessions.delete(id);
+        }
+    }
+
+    return {
+        name: "memory",
+        async get(id) {
+            evictExpired();
+            return sessions.get(id) || null;
+        },
+        async save(session) {
+            const saved = touch(session, ttlMs);
+            sessions.delete(saved.id);
+            sessions.set(saved.id, saved);
+            evictExpired();
+            while (sessions.size > maxSessions) {
+                sessions.delete(sessions.keys().next().value);
+            }
+            return saved;
+        },
+        async delete(id) {
+            return sessions.delete(id);
+        }
+    };
+}
+
+/**
+ * Sessions in a SQLite file (SESSION_STORE_FILE), so they survive restarts
+ * and are shared by every backend process on the host. Expired rows are
+ * purged as sessions are saved.
+ */
+function createSqliteSessionStore({ file = SESSION_FILE, ttlMs = TTL_MS } = {}) {
+    let db = null;
+
+    function openDb() {
+        if (db) return db;
+        db = new Database(file);
+        db.pragma("journal_mode = WAL");
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS sessions_expires ON sessions (expires_at);
+        `);
+        return db;
+    }
+
+    function toSession(row) {
+        return { id: row.id, ...JSON.parse(row.data), createdAt: row.created_at, updatedAt: row.updated_at, expiresAt: row.expires_at };
+    }
+
+    return {
+        name: "sqlite",
+        async get(id) {
+            const row = openDb()
+                .prepare("SELECT * FROM sessions WHERE id = ? AND expires_at > ?")
+                .get(id, new Date().toISOString());
+            return row ? toSession(row) : null;
+        },
+        async save(session) {
+            const saved = touch(session, ttlMs);
+            const { id, createdAt, updatedAt, expiresAt, ...data } = saved;
+            const store = openDb();
+            store.transaction(() => {
+                store.prepare("DELETE FROM sessions WHERE expires_at <= ?").run(updatedAt);
+                store.prepare(`
+                    INSERT INTO sessions (id, data, created_at, updated_at, expires_at) VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at, expires_at = excluded.expires_at
+                `).run(id, JSON.stringify(data), createdAt, updatedAt, expiresAt);
+            })();
+            return saved;
+        },
+        async delete(id) {
+            return openDb().prepare("DELETE FROM sessions WHERE id = ?").run(id).changes > 0;
+        }
+    };
+}
+
+const SESSION_STORES = {
+    memory: createMemorySessionStore,
+    sqlite: createSqliteSessionStore
+};
+
+let sessionStore = null;
+
+/**
+ * The configured session store, picked by SESSION_STORE (memory by default).
+ * Every store exposes { name, get(id), save(session), delete(id) }; `get`
+ * resolves to the session or null when it is unknown or expired, `save` to
+ * the session as stored (with its new `expiresAt`), and `delete` to whether
+ * there was one.
+ */
+export function getSessionStore() {
+    if (sessionStore) return sessionStore;
+
+    const name = (process.env.SESSION_STORE || "memory").toLowerCase();
+    const create = SESSION_STORES[name];
+    if (!create) {
+        throw new Error(`Unknown SESSION_STORE "${name}" - expected one of ${Object.keys(SESSION_STORES).join(", ")}`);
+    }
+    sessionStore = create();
+    return sessionStore;
+}
@@ -0,0 +1,214 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { parse } from "csv-parse";
+import ExcelJS from "exceljs";
+
+export const SUPPORTED_FORMATS = ["csv", "xlsx", "json", "ndjson"];
+
+const EXTENSION_FORMATS = {
+    ".csv": "csv",
+    ".txt": "csv",
+    ".xlsx": "xlsx",
+    ".json": "json",
+    ".ndjson": "ndjson",
+    ".jsonl": "ndjson"
+};
+
+// Pick the reader from an explicit format, else from the (original) file name
+export function detectFormat(fileName, format = null) {
+    if (format) {
+        const f = String(format).toLowerCase();
+        if (!SUPPORTED_FORMATS.includes(f)) {
+            throw new Error(`Unsupported format "${format}" - expected one of ${SUPPORTED_FORMATS.join(", ")}`);
+        }
+        return f;
+    }
+    return EXTENSION_FORMATS[path.extname(fileName || "").toLowerCase()] || "csv";
+}
+
+async function* iterateCsv(filePath) {
+    const parser = fs.createReadStream(filePath)
+        .pipe(parse({ columns: false, trim: true, skip_empty_lines: true, relax_column_count: true }));
+    for await (const row of parser) {
+        yield row;
+    }
+}
+
+function cellText(cell) {
+    return String(cell.text ?? "").trim();
+}
+
+// Streams the chosen sheet; `sheet` may be a sheet name or a 1-based index and defaults to the first sheet
+async function* iterateXlsx(filePath, sheet = null) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+        worksheets: "emit",
+        sharedStrings: "cache",
+        hyperlinks: "ignore",
+        styles: "ignore",
+        entries: "ignore"
+    });
+
+    const wanted = sheet === null || sheet === undefined || sheet === "" ? "1" : String(sheet);
+    const byIndex = /^\d+$/.test(wanted);
+    const seen = [];
+
+    for await (const worksheet of reader) {
+        seen.push(worksheet.name);
+        const isWanted = byIndex ? seen.length === Number(wanted) : worksheet.name === wanted;
+
+        for await (const row of worksheet) {
+            if (!isWanted) continue;
+            const cells = [];
+            for (let col = 1; col <= row.cellCount; col++) {
+                cells.push(cellText(row.getCell(col)));
+            }
+            if (cells.some(Boolean)) yield cells;
+        }
+        if (isWanted) return;
+    }
+
+    throw new Error(`Sheet "${sheet ?? 1}" not found in workbook (sheets: ${seen.join(", ")})`);
+}
+
+function recordToRow(headers, record) {
+    return headers.map(key => {
+        const value = record[key];
+        if (value === null || value === undefined) return "";
+        if (Array.isArray(value)) return value.join(", ");
+        return typeof value === "object" ? JSON.stringify(value) : String(value).trim();
+    });
+}
+
+function isRecord(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+const JSON_SHAPE_ERROR = "JSON file must contain an array of hospitals or an object with a single array property";
+
+/**
+ * The records of a JSON file's hospital array, read in chunks: each record is
+ * cut out of the text by tracking nesting and strings and parsed on its own,
+ * so the whole file is never held. The array is the top-level value, or the
+ * one array property of a top-level object (e.g. { "hospitals": [...] }).
+ */
+async function* jsonRecords(filePath) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let rootSeen = false;
+    let rootIsObject = false;
+    let arrays = 0;
+    let inArray = false;
+    let parts = null;
+
+    for await (const chunk of fs.createReadStream(filePath, { encoding: "utf8" })) {
+        let start = 0;
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === "\\") escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (depth === 0 && ch.trim() && (rootSeen || (ch !== "{" && ch !== "["))) {
+                throw new Error("JSON file must contain an array of hospitals");
+            }
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === "{" || ch === "[") {
+                if (depth === 0) {
+                    rootSeen = true;
+                    rootIsObject = ch === "{";
+                    inArray = ch === "[";
+                } else if (depth === 1 && rootIsObject && ch === "[") {
+                    if (++arrays > 1) throw new Error(JSON_SHAPE_ERROR);
+                    inArray = true;
+                } else if (ch === "{" && inArray && depth === (rootIsObject ? 2 : 1)) {
+                    parts = [];
+                    start = i;
+                }
+                depth++;
+            } else if (ch === "}" || ch === "]") {
+                depth--;
+                if (ch === "]" && inArray && depth === (rootIsObject ? 1 : 0)) {
+                    inArray = false;
+                } else if (ch === "}" && parts && depth === (rootIsObject ? 2 : 1)) {
+                    parts.push(chunk.slice(start, i + 1));
+                    yield JSON.parse(parts.join(""));
+                    parts = null;
+                }
+            }
+        }
+        if (parts) parts.push(chunk.slice(start));
+    }
+
+    if (depth !== 0 || inString) throw new Error("JSON file ends before its array is closed");
+    if (rootIsObject && arrays === 0) throw new Error(JSON_SHAPE_ERROR);
+}
+
+// JSON is read twice, both times in chunks: once for the header, once for the rows
+async function* iterateJson(filePath) {
+    // Header is the union of keys, so records go through the same column mapping as CSV files
+    const headers = new Set();
+    for await (const record of jsonRecords(filePath)) {
+        Object.keys(record).forEach(key => headers.add(key));
+    }
+    const columns = [...headers];
+    yield columns;
+    for await (const record of jsonRecords(filePath)) {
+        yield recordToRow(columns, record);
+    }
+}
+
+// NDJSON streams line by line; the header comes from the first record's keys
+async function* iterateNdjson(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let headers = null;
+    let lineNumber = 0;
+    let warnedUnknown = false;
+
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            console.warn(`Skipping invalid NDJSON line ${lineNumber}`);
+            continue;
+        }
+        if (!isRecord(record)) continue;
+
+        if (!headers) {
+            headers = Object.keys(record);
+            yield headers;
+        }
+        const unknown = Object.keys(record).filter(key => !headers.includes(key));
+        if (unknown.length > 0 && !warnedUnknown) {
+            console.warn(`NDJSON line ${lineNumber}: ignoring fields not present in the first record (${unknown.join(", ")})`);
+            warnedUnknown = true;
+        }
+        yield recordToRow(headers, record);
+    }
+}
+
+/**
+ * Stream any supported network file as rows (arrays of strings), header row
+ * first when the source has one. Rows are pulled on demand, so a slow
+ * consumer applies backpressure to the file read.
+ */
+export function iterateRows(filePath, { format = "csv", sheet = null } = {}) {
+    switch (format) {
+        case "xlsx":
+            return iterateXlsx(filePath, sheet);
+        case "json":
+            return iterateJson(filePath);
+        case "ndjson":
+            return iterateNdjson(filePath);
+        default:
+            return iterateCsv(filePath);
+    }
+}
@@ -0,0 +1,76 @@
+// Sparse (BM25-style) vectors for keyword retrieval alongside the dense embeddings.
+// Qdrant applies the IDF part server side (modifier: "idf"); we supply term frequencies.
+
+// Named sparse vectors stored on every point
+export const SPARSE_FIELDS = ["name", "address"];
+
+const K1 = 1.2;
+const B = 0.75;
+// Typical token count of a hospital name or address, standing in for the corpus average
+const AVERAGE_LENGTH = { name: 4, address: 8 };
+
+function words(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .split(" ")
+        .filter(Boolean);
+}
+
+// Character trigrams let "Sarjapura" still share terms with "Sarjapur"
+function trigrams(word) {
+    if (word.length < 4) return [];
+    const padded = `#${word}#`;
+    const grams = [];
+    for (let i = 0; i + 3 <= padded.length; i++) grams.push(`3:${padded.slice(i, i + 3)}`);
+    return grams;
+}
+
+function terms(text) {
+    return words(text).flatMap(word => [word, ...trigrams(word)]);
+}
+
+// FNV-1a, so the same term always lands on the same sparse index without a shared vocabulary
+function termIndex(term) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < term.length; i++) {
+        hash ^= term.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function toSparse(weights) {
+    const entries = [...weights.entries()].sort((a, b) => a[0] - b[0]);
+    return { indices: entries.map(([index]) => index), values: entries.map(([, value]) => value) };
+}
+
+/**
+ * Document-side vector for one field: BM25 term-frequency saturation with
+ * length normalization. Returns null for empty text.
+ */
+export function sparseDocumentVector(text, field = "name") {
+    const docTerms = terms(text);
+    if (docTerms.length === 0) return null;
+
+    const counts = new Map();
+    for (const term of docTerms) {
+        const index = termIndex(term);
+        counts.set(index, (counts.get(index) || 0) + 1);
+    }
+
+    const length = words(text).length;
+    const norm = K1 * (1 - B + B * length / (AVERAGE_LENGTH[field] || AVERAGE_LENGTH.name));
+    const weights = new Map();
+    for (const [index, tf] of counts) {
+        weights.set(index, Number(((tf * (K1 + 1)) / (tf + norm)).toFixed(4)));
+    }
+    return toSparse(weights);
+}
+
+// Query-side vector: every distinct term counts once
+export function sparseQueryVector(text) {
+    const weights = new Map();
+    for (const term of terms(text)) weights.set(termIndex(term), 1);
+    return weights.size ? toSparse(weights) : null;
+}